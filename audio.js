@@ -0,0 +1,207 @@
+// =======================================================================
+// ========================= Audio-Reactive Mode =========================
+// =======================================================================
+//
+// 'A' opens the audio panel. Pick a local audio file, the microphone, or
+// the bundled test tone (assets/test-tone.wav: a kick drum on every beat,
+// a swelling chord and off-beat hi-hats, so every band has something to
+// react to without a network or a microphone). While a source plays:
+//   - the overall level sets the growth speed (quiet = slow, loud = fast)
+//   - bass pulses the inner cores
+//   - mids pulse the middle rings
+//   - highs pulse the outer dots and rays
+//   - each detected beat grows an extra songline between two nearby
+//     nodes, which fades away again after a couple of seconds
+//
+// Audio never affects exports: the exporter sets the loop position
+// itself, and the pulses and beat lines are switched off while it runs.
+//
+// References:
+// p5.FFT: https://p5js.org/reference/p5.sound/p5.FFT/
+// p5.Amplitude: https://p5js.org/reference/p5.sound/p5.Amplitude/
+// p5.PeakDetect: https://archive.p5js.org/reference/#/p5.PeakDetect
+//
+const AUDIO_TEST_TONE = 'assets/test-tone.wav';
+const AUDIO_SMOOTHING = 0.25;  // How far the levels move towards each new reading
+const BEAT_LINE_HOLD = 2000;   // How long a beat line stays once grown (ms)
+const BEAT_LINE_FADE = 1000;   // How long it takes to fade out (ms)
+const MAX_BEAT_LINES = 12;
+
+function installAudio(sk) {
+  sk.audio = {
+    active: false,    // Audio mode on ('A')
+    input: null,      // p5.SoundFile or p5.AudioIn being analysed
+    fft: null,
+    amplitude: null,
+    peaks: null,      // p5.PeakDetect on the bass band, for beats
+    level: 0,         // Smoothed readings, 0-1
+    bass: 0,
+    mid: 0,
+    treble: 0,
+    beats: 0,         // Beats detected so far (also seeds each beat line's path)
+    beatLines: [],
+    panel: null,
+    status: null
+  };
+
+  // p5.sound needs a Web Audio context; without one the mode stays off
+  sk.audioAvailable = function () {
+    return typeof p5.FFT === 'function' && typeof sk.getAudioContext === 'function';
+  };
+
+  sk.toggleAudioMode = function () {
+    sk.audio.active = !sk.audio.active;
+    if (!sk.audio.panel) sk.createAudioPanel();
+    if (sk.audio.active) {
+      sk.audio.panel.show();
+    } else {
+      sk.audio.panel.hide();
+      sk.setAudioInput(null);
+    }
+  };
+
+  sk.createAudioPanel = function () {
+    let panel = sk.createDiv();
+    panel.class('audio-panel');
+    panel.hide();
+
+    // Reference: https://p5js.org/reference/p5/createFileInput/
+    let fileInput = sk.createFileInput(file => {
+      if (file.type !== 'audio') {
+        sk.setAudioStatus('not an audio file');
+        return;
+      }
+      sk.useAudioFile(file.file);
+    });
+    fileInput.attribute('accept', 'audio/*');
+    fileInput.parent(panel);
+
+    let micButton = sk.createButton('microphone');
+    micButton.mousePressed(() => sk.useMicrophone());
+    micButton.parent(panel);
+
+    let toneButton = sk.createButton('test tone');
+    toneButton.mousePressed(() => sk.useAudioFile(AUDIO_TEST_TONE));
+    toneButton.parent(panel);
+
+    sk.audio.status = sk.createSpan('');
+    sk.audio.status.parent(panel);
+    sk.audio.panel = panel;
+    if (!sk.audioAvailable()) sk.setAudioStatus('audio is not available in this browser');
+  };
+
+  sk.setAudioStatus = function (message) {
+    if (sk.audio.status) sk.audio.status.html(message);
+  };
+
+  // -----------------------------------------------------------------------
+  //                               Sources
+  // -----------------------------------------------------------------------
+
+  // 'source' is a File from the file input or a URL
+  sk.useAudioFile = function (source) {
+    if (!sk.audioAvailable()) return;
+    sk.userStartAudio(); // Browsers only start audio after a click
+    sk.setAudioStatus('loading…');
+    sk.loadSound(source, sound => {
+      sound.loop();
+      sk.setAudioInput(sound);
+      sk.setAudioStatus(typeof source === 'string' ? 'test tone' : source.name);
+    }, () => sk.setAudioStatus('could not load that file'));
+  };
+
+  sk.useMicrophone = function () {
+    if (!sk.audioAvailable()) return;
+    sk.userStartAudio();
+    let mic = new p5.AudioIn();
+    mic.start(() => {
+      sk.setAudioInput(mic);
+      sk.setAudioStatus('microphone');
+    }, () => sk.setAudioStatus('no microphone available'));
+  };
+
+  // Analyse 'input' from now on (null stops the current source)
+  sk.setAudioInput = function (input) {
+    if (sk.audio.input) sk.audio.input.stop();
+    sk.audio.input = input;
+    if (!input) return;
+    if (!sk.audio.fft) {
+      sk.audio.fft = new p5.FFT(0.8, 1024);
+      sk.audio.amplitude = new p5.Amplitude();
+      sk.audio.peaks = new p5.PeakDetect(20, 140, 0.25, 20);
+    }
+    sk.audio.fft.setInput(input);
+    sk.audio.amplitude.setInput(input);
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Analysis
+  // -----------------------------------------------------------------------
+
+  // Read this frame's levels and react to beats. Called at the top of draw().
+  sk.updateAudio = function () {
+    if (!sk.audio.active || !sk.audio.input) {
+      sk.audio.level = sk.audio.bass = sk.audio.mid = sk.audio.treble = 0;
+      return;
+    }
+    sk.audio.fft.analyze();
+    sk.audio.peaks.update(sk.audio.fft);
+    // RMS levels of music rarely pass 0.3, so stretch them to 0-1
+    sk.audio.level = sk.lerp(sk.audio.level, sk.constrain(sk.audio.amplitude.getLevel() * 3, 0, 1), AUDIO_SMOOTHING);
+    sk.audio.bass = sk.lerp(sk.audio.bass, sk.audio.fft.getEnergy('bass') / 255, AUDIO_SMOOTHING);
+    sk.audio.mid = sk.lerp(sk.audio.mid, sk.audio.fft.getEnergy('mid') / 255, AUDIO_SMOOTHING);
+    sk.audio.treble = sk.lerp(sk.audio.treble, sk.audio.fft.getEnergy('treble') / 255, AUDIO_SMOOTHING);
+    if (sk.audio.peaks.isDetected) sk.spawnBeatLine();
+    sk.audio.beatLines = sk.audio.beatLines.filter(L => sk.millis() - L.born < sk.lineGrowDuration + BEAT_LINE_HOLD + BEAT_LINE_FADE);
+  };
+
+  // Multiplier for the transport's playback speed
+  sk.audioGrowthRate = function () {
+    if (!sk.audio.active || !sk.audio.input) return 1;
+    return sk.lerp(0.2, 3, sk.audio.level);
+  };
+
+  // Scale for a circle band: bass -> inner, mids -> middle, highs -> outer
+  sk.audioPulse = function (band) {
+    if (!sk.audio.active || sk.exportState.running) return 1;
+    if (band === 'inner') return 1 + sk.audio.bass * 0.25;
+    if (band === 'middle') return 1 + sk.audio.mid * 0.15;
+    return 1 + sk.audio.treble * 0.3;
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Beat lines
+  // -----------------------------------------------------------------------
+
+  // Join a random node to one of its three nearest nodes that isn't linked
+  // to it yet. The line grows in real time, whatever the loop is doing.
+  sk.spawnBeatLine = function () {
+    sk.audio.beats++;
+    if (sk.connectedNodes.length < 2 || sk.audio.beatLines.length >= MAX_BEAT_LINES) return;
+    let a = sk.random(sk.connectedNodes);
+    let linked = b => sk.networkLines.concat(sk.audio.beatLines).some(L =>
+      (L.from === a && L.to === b) || (L.from === b && L.to === a));
+    let candidates = sk.connectedNodes
+      .filter(b => b !== a && !linked(b))
+      .sort((p, q) => sk.nodeDistance(a, p) - sk.nodeDistance(a, q))
+      .slice(0, 3);
+    if (candidates.length === 0) return;
+    let L = makeNetworkLine(a, sk.random(candidates), 0);
+    sk.buildSonglinePaths([L], mixSeed(mixSeed(sk.currentSeed, -8), sk.audio.beats));
+    L.born = sk.millis();
+    sk.audio.beatLines.push(L);
+  };
+
+  sk.drawBeatLines = function () {
+    if (sk.exportState.running) return;
+    let linkColor = sk.paletteColor('link');
+    sk.push();
+    for (let L of sk.audio.beatLines) {
+      let age = sk.millis() - L.born;
+      let p = sk.constrain(age / sk.lineGrowDuration, 0, 1);
+      let fade = 1 - sk.constrain((age - sk.lineGrowDuration - BEAT_LINE_HOLD) / BEAT_LINE_FADE, 0, 1);
+      sk.drawSongline(L, p, sk.color(sk.red(linkColor), sk.green(linkColor), sk.blue(linkColor), sk.alpha(linkColor) * fade));
+    }
+    sk.pop();
+  };
+}
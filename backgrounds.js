@@ -0,0 +1,311 @@
+// =======================================================================
+// ========================= Background Textures =========================
+// =======================================================================
+//
+// The texture drawn under the circles and songlines. Each mode is a set
+// of dots ({ x, y, size, alpha }) in one colour:
+//   stars   scattered white dots like a night sky (the original texture)
+//   flow    dot trails following a noise flow field, drawn out as the
+//           circles grow
+//   halos   rings of dots around every circle, as in traditional dot
+//           painting, spreading outwards as each circle blooms
+//   sand    fine ochre grains that drift slowly back and forth
+//
+// A mode either generates its dots once ('generate') and has them baked
+// into an offscreen layer, which costs one image() call per frame and can
+// drift ('drift', px at REFERENCE_SIZE), or works out its dots again every
+// frame from masterP ('frame'). Every mode has its own density (dots per
+// pixel of canvas) and colour, a palette role and a slot like the circles'
+// ('pattern:0' is the first pattern colour).
+//
+// Choose with ?texture=<name> or cycle with 'X'. ?density= and
+// ?texturecolor=<role>:<slot> override the mode's own settings; both are
+// dropped when the mode changes. Density is also in the tuning panel.
+//
+// References:
+// createGraphics(): https://p5js.org/reference/p5/createGraphics/
+// noise():          https://p5js.org/reference/p5/noise/
+// Flow fields:      https://tylerxhobbs.com/words/flow-fields
+//
+const FLOW_TRAIL_DOTS = 24;  // Dots per flow-field trail
+const FLOW_STEP = 7;         // Distance between the dots of a trail (px at REFERENCE_SIZE)
+const FLOW_SCALE = 2.5;      // Noise features per canvas unit (larger = tighter swirls)
+const HALO_RINGS = 3;        // Rings of dots around each circle
+const HALO_GAP = 0.12;       // Distance between rings, as a share of the circle's radius
+const PALETTE_ROLES = ['background', 'base', 'pattern', 'link'];
+
+function installBackgrounds(sk) {
+  sk.backgroundModes = {
+    stars: {
+      defaults: { density: 0.004, color: 'pattern:0', drift: 0 },
+      generate: settings => sk.generateStarDots(settings)
+    },
+    flow: {
+      defaults: { density: 0.003, color: 'link:0', drift: 0 },
+      generate: settings => sk.generateFlowTrails(settings),
+      frame: (masterP, settings) => sk.flowTrailFrame(masterP)
+    },
+    halos: {
+      defaults: { density: 0.006, color: 'pattern:0.3', drift: 0 },
+      generate: () => [],
+      frame: (masterP, settings) => sk.haloFrame(masterP, settings)
+    },
+    sand: {
+      defaults: { density: 0.03, color: 'base:0.7', drift: 14 },
+      generate: settings => sk.generateSandGrains(settings)
+    }
+  };
+
+  // Mode name and overrides of its density and colour (null = the mode's own)
+  sk.backgroundSettings = { mode: 'stars', density: null, color: null };
+
+  sk.backgroundLayer = null; // p5.Graphics holding a baked texture
+  sk.backgroundDots = [];    // The generated dots, also used by the SVG export
+  sk.backgroundState = {
+    margin: 0,               // Extra layer border a drifting texture moves into (px)
+    layerColor: null,        // Colour the layer was baked in, to spot palette changes
+    halos: new WeakMap()     // Circle -> its halo dots, see haloFrame()
+  };
+
+  sk.initBackgroundTexture = function () {
+    let params = sk.params();
+    if (sk.backgroundModes[params.texture]) sk.backgroundSettings.mode = params.texture;
+    if (params.texturecolor && sk.parseTextureColor(params.texturecolor)) sk.backgroundSettings.color = params.texturecolor;
+  };
+
+  // The mode's defaults with any overrides, plus the drift
+  sk.textureSettings = function () {
+    let defaults = sk.backgroundModes[sk.backgroundSettings.mode].defaults;
+    return {
+      density: sk.backgroundSettings.density === null ? defaults.density : sk.backgroundSettings.density,
+      color: sk.backgroundSettings.color || defaults.color,
+      drift: defaults.drift
+    };
+  };
+
+  // Switch to the next mode (the 'X' key)
+  sk.cycleBackgroundTexture = function () {
+    let names = Object.keys(sk.backgroundModes);
+    sk.setBackgroundTexture(names[(names.indexOf(sk.backgroundSettings.mode) + 1) % names.length]);
+  };
+
+  // Use a named mode. Overrides are dropped, since each mode has its own scale.
+  sk.setBackgroundTexture = function (name) {
+    sk.backgroundSettings = { mode: name, density: null, color: null };
+    sk.setURLParam('texture', name);
+    sk.setURLParam('texturecolor', null);
+    sk.keepTuning('density', null);
+    sk.buildBackgroundLayer();
+  };
+
+  // 'role:slot' -> { role, slot }, or null when it is not a palette colour
+  sk.parseTextureColor = function (spec) {
+    let [role, slot] = String(spec).split(':');
+    if (!PALETTE_ROLES.includes(role)) return null;
+    return { role: role, slot: sk.constrain(parseFloat(slot) || 0, 0, 1) };
+  };
+
+  // The texture's colour. Baked layers use the palette being faded to (they
+  // are rebuilt once when it changes); dots drawn every frame fade along.
+  sk.textureColor = function (baked = false) {
+    let { role, slot } = sk.parseTextureColor(sk.textureSettings().color);
+    return baked ? sk.pickSlot(sk.paletteState.to[role], slot) : sk.paletteColor(role, slot);
+  };
+
+  // -----------------------------------------------------------------------
+  //                         Building and drawing
+  // -----------------------------------------------------------------------
+
+  sk.buildBackgroundLayer = function () {
+    let mode = sk.backgroundModes[sk.backgroundSettings.mode];
+    let settings = sk.textureSettings();
+    let state = sk.backgroundState;
+    state.margin = sk.scaled(settings.drift);
+    sk.backgroundDots = mode.generate(settings);
+    if (sk.backgroundLayer) sk.backgroundLayer.remove(); // Free the old layer after a resize
+    sk.backgroundLayer = null;
+    sk.quality.backgroundShare = sk.lod.background;
+    if (mode.frame) return; // Drawn from scratch every frame
+
+    sk.backgroundLayer = sk.createGraphics(sk.width + state.margin * 2, sk.height + state.margin * 2);
+    sk.backgroundLayer.noStroke();
+    let col = sk.textureColor(true);
+    state.layerColor = col.toString();
+    let [r, g, b] = col.levels;
+    // Lower detail draws only a share of the dots (quality.js). They are in
+    // random order, so the first part of the list is spread evenly too.
+    let count = sk.floor(sk.backgroundDots.length * sk.lod.background);
+    for (let d of sk.backgroundDots.slice(0, count)) {
+      sk.backgroundLayer.fill(r, g, b, d.alpha);
+      sk.backgroundLayer.ellipse(d.x + state.margin, d.y + state.margin, d.size);
+    }
+  };
+
+  // Called in draw() after the palette: rebake the layer in a new colour
+  sk.updateBackgroundTexture = function () {
+    if (!sk.backgroundLayer || sk.posterState.tile) return;
+    if (sk.textureColor(true).toString() !== sk.backgroundState.layerColor) sk.buildBackgroundLayer();
+  };
+
+  // Where a drifting texture has moved to: a slow figure of eight that
+  // comes back to the start at the end of every loop, so exports loop too
+  sk.textureDrift = function () {
+    let a = sk.backgroundState.margin;
+    let u = sk.TWO_PI * sk.transportLoopTime() / sk.globalLoopDuration;
+    return { x: a * sk.sin(u), y: a * 0.5 * sk.sin(u * 2) };
+  };
+
+  // This frame's dots in canvas coordinates (the SVG export's too)
+  sk.textureDots = function (masterP) {
+    let mode = sk.backgroundModes[sk.backgroundSettings.mode];
+    if (mode.frame) return mode.frame(masterP, sk.textureSettings());
+    let drift = sk.textureDrift();
+    if (drift.x === 0 && drift.y === 0) return sk.backgroundDots;
+    return sk.backgroundDots.map(d => Object.assign({}, d, { x: d.x + drift.x, y: d.y + drift.y }));
+  };
+
+  sk.drawBackgroundTexture = function (masterP) {
+    if (sk.backgroundLayer && !sk.posterState.tile) {
+      let drift = sk.textureDrift();
+      let m = sk.backgroundState.margin;
+      sk.image(sk.backgroundLayer, drift.x - m, drift.y - m);
+      return;
+    }
+    // Textures drawn every frame, and every texture on a poster tile, which
+    // is zoomed in too far for the cached layer (poster.js)
+    let [r, g, b] = sk.textureColor(sk.backgroundLayer !== null).levels;
+    sk.noStroke();
+    for (let d of sk.textureDots(masterP)) {
+      sk.fill(r, g, b, d.alpha);
+      sk.ellipse(d.x, d.y, d.size);
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                                Modes
+  // -----------------------------------------------------------------------
+  /*
+      The star field uses probabilistic dot density to distribute thousands of
+      semi-transparent dots across the canvas.
+  */
+  sk.generateStarDots = function (settings) {
+    // Seed the dots on their own (a negative salt never collides with a frame
+    // number), so the texture does not depend on how many circles were built.
+    sk.randomSeed(mixSeed(sk.currentSeed, -1));
+    let dots = [];
+    let numDots = sk.floor(sk.width * sk.height * settings.density); // Calculate the total number of dots based on canvas area and desired density.
+    for (let i = 0; i < numDots; i++) {
+      dots.push({
+        x: sk.random(sk.width), // Random x position within canvas
+        y: sk.random(sk.height), // Random y position within canvas
+        size: sk.random(sk.canvasUnit() * 0.002, sk.canvasUnit() * 0.005), // Set dot size relative to the canvas for responsiveness.
+        alpha: sk.random(100, 200) // We want the dots have different opacity, so they look like shining stars!
+      });
+    }
+    return dots;
+  };
+
+  // Trails that follow the angle of a noise field from random starting
+  // points, thinning out towards their ends. 't' is how far along its
+  // trail a dot is (0-1).
+  sk.generateFlowTrails = function (settings) {
+    sk.randomSeed(mixSeed(sk.currentSeed, -6));
+    sk.noiseSeed(mixSeed(sk.currentSeed, -6));
+    let unit = sk.canvasUnit();
+    let step = sk.scaled(FLOW_STEP);
+    let trails = sk.floor(sk.width * sk.height * settings.density / FLOW_TRAIL_DOTS);
+    let dots = [];
+    for (let i = 0; i < trails; i++) {
+      let x = sk.random(sk.width);
+      let y = sk.random(sk.height);
+      let alpha = sk.random(90, 180);
+      for (let j = 0; j < FLOW_TRAIL_DOTS; j++) {
+        let t = j / (FLOW_TRAIL_DOTS - 1);
+        dots.push({ x: x, y: y, size: sk.lerp(unit * 0.006, unit * 0.002, t), alpha: alpha * (1 - t * 0.6), t: t });
+        let angle = sk.noise(x / unit * FLOW_SCALE, y / unit * FLOW_SCALE) * sk.TWO_PI * 2;
+        x += sk.cos(angle) * step;
+        y += sk.sin(angle) * step;
+      }
+    }
+    return dots;
+  };
+
+  // The trails draw themselves out from their starts as masterP rises
+  sk.flowTrailFrame = function (masterP) {
+    let count = sk.floor(sk.backgroundDots.length * sk.lod.background);
+    let dots = [];
+    for (let d of sk.backgroundDots.slice(0, count)) {
+      let reveal = sk.constrain((masterP * 1.2 - d.t) * 5, 0, 1);
+      if (reveal > 0) dots.push({ x: d.x, y: d.y, size: d.size, alpha: d.alpha * reveal });
+    }
+    return dots;
+  };
+
+  // Rings of dots just outside every circle. Each ring appears in turn and
+  // moves out to its place as the circle grows, following the circle's own
+  // progress (choreography.js). A circle's dots are worked out once, from
+  // its jitter seed, and kept until its size or the spacing changes.
+  sk.haloFrame = function (masterP, settings) {
+    let spacing = sk.sqrt(1 / settings.density) * sk.lod.dotSpacing;
+    let dots = [];
+    for (let c of sk.circles) {
+      let halo = sk.backgroundState.halos.get(c);
+      if (!halo || halo.r !== c.r || halo.spacing !== spacing) {
+        halo = sk.buildHalo(c, spacing);
+        sk.backgroundState.halos.set(c, halo);
+      }
+      let p = sk.choreographedProgress(c, masterP);
+      let inner = c.r * 1.05; // Just outside the circle's outline
+      for (let d of halo.dots) {
+        let show = sk.constrain((p - (d.ring - 1) / HALO_RINGS) * HALO_RINGS, 0, 1);
+        if (show === 0) continue;
+        let radius = inner + c.r * HALO_GAP * d.ring * easing('outCubic')(show) + d.wobble;
+        dots.push({
+          x: c.x + sk.cos(d.angle) * radius,
+          y: c.y + sk.sin(d.angle) * radius,
+          size: d.size,
+          alpha: d.alpha * show
+        });
+      }
+    }
+    return dots;
+  };
+
+  sk.buildHalo = function (c, spacing) {
+    let dots = [];
+    for (let ring = 1; ring <= HALO_RINGS; ring++) {
+      let radius = c.r * (1.05 + HALO_GAP * ring);
+      let n = sk.max(6, sk.floor(sk.TWO_PI * radius / spacing));
+      let values = seededValues(mixSeed(c.jitterSeed, 10 + ring), n * 3);
+      for (let i = 0; i < n; i++) {
+        dots.push({
+          ring: ring,
+          angle: (i + values[i * 3] * 0.3) / n * sk.TWO_PI,
+          wobble: (values[i * 3 + 1] - 0.5) * c.r * 0.02,
+          size: c.r * sk.lerp(0.035, 0.05, values[i * 3 + 2]) * (1 - ring * 0.12),
+          alpha: 220 - ring * 40
+        });
+      }
+    }
+    return { r: c.r, spacing: spacing, dots: dots };
+  };
+
+  // Fine grains over the canvas and the border it drifts into
+  sk.generateSandGrains = function (settings) {
+    sk.randomSeed(mixSeed(sk.currentSeed, -7));
+    let m = sk.backgroundState.margin;
+    let w = sk.width + m * 2;
+    let h = sk.height + m * 2;
+    let dots = [];
+    let numGrains = sk.floor(w * h * settings.density);
+    for (let i = 0; i < numGrains; i++) {
+      dots.push({
+        x: sk.random(w) - m,
+        y: sk.random(h) - m,
+        size: sk.random(sk.canvasUnit() * 0.0015, sk.canvasUnit() * 0.004),
+        alpha: sk.random(40, 140)
+      });
+    }
+    return dots;
+  };
+}
@@ -0,0 +1,130 @@
+// =======================================================================
+// ============================ Choreography =============================
+// =======================================================================
+//
+// Without choreography every circle receives the same masterP, so they
+// all bloom in lockstep. A choreography gives each circle its own window
+// of the loop instead: the circle starts growing at masterP = startOffset
+// and is fully grown growSpan later. Because startOffset + growSpan never
+// passes 1, every circle is complete by the middle of the loop, and since
+// the rewind plays masterP backwards, the ripple runs backwards too.
+//
+// Modes:
+//   unison    everyone together (the original)
+//   wave      a ring spreading out from an origin point
+//   diagonal  a sweep along the layout's diagonals, top-left first
+//   network   each circle blooms when the songlines reach it
+//   scatter   random start times and growth speeds
+//
+// 'spread' is how much of the grow phase the start times are spread over
+// (0 = unison, 0.9 = the last circle starts at 90%).
+//
+// Choose with ?choreo=<mode>, ?spread=0-0.9 and ?origin=x,y (fractions of
+// the canvas, for 'wave'), or cycle the mode with the 'O' key.
+//
+function installChoreography(sk) {
+  sk.choreographies = {
+    unison: () => null,
+    wave: () => sk.circleWaveOrder(),
+    diagonal: () => sk.circleDiagonalOrder(),
+    network: () => sk.circleNetworkOrder(),
+    scatter: () => null  // Handled in applyChoreography(), it also varies speed
+  };
+
+  sk.choreographySettings = {
+    mode: 'unison',
+    spread: 0.5,
+    origin: [0.5, 0.5]  // Wave origin as fractions of width / height
+  };
+
+  sk.initChoreography = function () {
+    let params = sk.params();
+    if (sk.choreographies[params.choreo]) sk.choreographySettings.mode = params.choreo;
+    // Anything that is not a number keeps the current setting
+    let spread = parseFloat(params.spread);
+    if (Number.isFinite(spread)) sk.choreographySettings.spread = sk.constrain(spread, 0, 0.9);
+    let origin = decodeURIComponent(params.origin || '').split(',').map(v => parseFloat(v)); // ',' may arrive as %2C
+    if (origin.length === 2 && origin.every(Number.isFinite)) sk.choreographySettings.origin = origin;
+  };
+
+  sk.cycleChoreography = function () {
+    let names = Object.keys(sk.choreographies);
+    sk.setChoreography(names[(names.indexOf(sk.choreographySettings.mode) + 1) % names.length]);
+  };
+
+  sk.setChoreography = function (mode) {
+    sk.choreographySettings.mode = mode;
+    sk.setURLParam('choreo', mode);
+    sk.applyChoreography();
+  };
+
+  // Give every circle its startOffset and growSpan. Called at the end of
+  // prepareNetworkLines(), since the 'network' mode follows the lines.
+  sk.applyChoreography = function () {
+    let spread = sk.choreographySettings.mode === 'unison' ? 0 : sk.choreographySettings.spread;
+    if (sk.choreographySettings.mode === 'scatter') {
+      // Seeded, so the scatter is part of the composition
+      let values = seededValues(mixSeed(sk.currentSeed, -4), sk.circles.length * 2);
+      sk.circles.forEach((c, i) => {
+        c.startOffset = values[i * 2] * spread;
+        // Between 60% and 100% of the time left, so slow circles still finish
+        c.growSpan = (1 - c.startOffset) * sk.lerp(0.6, 1, values[i * 2 + 1]);
+      });
+      return;
+    }
+    // The other modes rank circles 0-1 and all grow at the same speed
+    let order = sk.choreographies[sk.choreographySettings.mode]();
+    sk.circles.forEach((c, i) => {
+      c.startOffset = order ? order[i] * spread : 0;
+      c.growSpan = 1 - spread;
+    });
+  };
+
+  // This circle's own progress (0-1) at loop progress masterP
+  sk.choreographedProgress = function (c, masterP) {
+    return sk.constrain((masterP - c.startOffset) / c.growSpan, 0, 1);
+  };
+
+  // -----------------------------------------------------------------------
+  //                               Orders
+  // -----------------------------------------------------------------------
+  //
+  // Each returns one value per circle, 0 for the first to grow and 1 for
+  // the last.
+  //
+
+  sk.circleWaveOrder = function () {
+    let ox = sk.choreographySettings.origin[0] * sk.width;
+    let oy = sk.choreographySettings.origin[1] * sk.height;
+    return sk.normaliseOrder(sk.circles.map(c => sk.dist(c.x, c.y, ox, oy)));
+  };
+
+  // Position along the (1, 1) direction the diagonal layout's lines run in
+  sk.circleDiagonalOrder = function () {
+    return sk.normaliseOrder(sk.circles.map(c => c.x + c.y));
+  };
+
+  // When the growing songlines first reach each circle. Circles outside
+  // the network follow the nearest node.
+  sk.circleNetworkOrder = function () {
+    let arrival = new Map();
+    let reach = (c, t) => arrival.set(c, sk.min(t, arrival.has(c) ? arrival.get(c) : Infinity));
+    for (let L of sk.networkLines) {
+      reach(L.from, L.startT);
+      reach(L.to, L.startT + sk.lineGrowDuration);
+    }
+    if (arrival.size === 0) return null;
+    let reached = [...arrival.keys()];
+    return sk.normaliseOrder(sk.circles.map(c => {
+      if (arrival.has(c)) return arrival.get(c);
+      let nearest = reached.reduce((a, b) => sk.nodeDistance(c, a) <= sk.nodeDistance(c, b) ? a : b);
+      return arrival.get(nearest);
+    }));
+  };
+
+  sk.normaliseOrder = function (values) {
+    let lo = sk.min(values);
+    let hi = sk.max(values);
+    return values.map(v => hi > lo ? (v - lo) / (hi - lo) : 0);
+  };
+}
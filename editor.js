@@ -0,0 +1,181 @@
+// =======================================================================
+// =========================== Edit Mode =================================
+// =======================================================================
+//
+// The finished piece needs no interaction, but while designing it helps
+// to place circles by hand. 'M' toggles edit mode, which freezes the
+// artwork in its fully grown state (masterP = 1) and lets you:
+//   click empty space      add a circle
+//   click / drag a circle  select it / move it
+//   Delete or Backspace    remove the selected circle
+//   1 / 2 / 3              next outer / middle / inner pattern
+//   4 / 5 / 6 / 7          next outer / middle / inner / core colour
+// On circles with more than three bands, 'middle' is the in-between band
+// under the mouse (or the nearest to it); 'outer' and 'inner' are always
+// the outermost band and the core.
+//   0                      make the circle a network node or not
+//
+// The network is rebuilt after every change, so songlines follow the
+// circles as they move. Edits are kept as the active scene (scene.js):
+// they survive window resizes and can be saved with 'save scene'.
+// Leaving edit mode plays the growth animation with the edited layout.
+//
+function installEditor(sk) {
+  sk.editor = {
+    active: false,
+    selected: null,   // The selected Circle
+    dragging: false,
+    dragOffset: { x: 0, y: 0 },
+    panel: null       // p5 DOM element listing the edit keys
+  };
+
+  sk.toggleEditMode = function () {
+    sk.editor.active = !sk.editor.active;
+    sk.editor.selected = null;
+    sk.editor.dragging = false;
+    if (!sk.editor.panel) sk.createEditorPanel();
+    if (sk.editor.active) {
+      sk.editor.panel.show();
+    } else {
+      sk.editor.panel.hide();
+    }
+  };
+
+  sk.createEditorPanel = function () {
+    sk.editor.panel = sk.createDiv('edit mode — click: add / select · drag: move · Del: remove · ' +
+      '1 2 3: patterns · 4 5 6 7: colours · 0: node on/off · M: done');
+    sk.editor.panel.class('editor-panel');
+    sk.editor.panel.hide();
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Mouse
+  // -----------------------------------------------------------------------
+
+  sk.editorMousePressed = function () {
+    let hit = sk.circleAt(sk.mouseX, sk.mouseY);
+    if (!hit) {
+      if (sk.mouseX < 0 || sk.mouseX > sk.width || sk.mouseY < 0 || sk.mouseY > sk.height) return;
+      hit = sk.addEditorCircle(sk.mouseX, sk.mouseY);
+    }
+    sk.editor.selected = hit;
+    sk.editor.dragging = true;
+    sk.editor.dragOffset = { x: hit.x - sk.mouseX, y: hit.y - sk.mouseY };
+  };
+
+  sk.editorMouseDragged = function () {
+    if (!sk.editor.dragging || !sk.editor.selected) return;
+    sk.editor.selected.x = sk.mouseX + sk.editor.dragOffset.x;
+    sk.editor.selected.y = sk.mouseY + sk.editor.dragOffset.y;
+    sk.editorLayoutChanged();
+  };
+
+  sk.editorMouseReleased = function () {
+    sk.editor.dragging = false;
+  };
+
+  // Topmost circle under the point (circles are drawn in array order)
+  sk.circleAt = function (x, y) {
+    for (let i = sk.circles.length - 1; i >= 0; i--) {
+      let c = sk.circles[i];
+      if (sk.dist(x, y, c.x, c.y) < c.r) return c;
+    }
+    return null;
+  };
+
+  // New circles use the middle of the layout's radius range and join the
+  // network straight away
+  sk.addEditorCircle = function (x, y) {
+    let settings = sk.layoutSettings();
+    let c = new sk.Circle(x, y, ((settings.radius[0] + settings.radius[1]) / 2) * sk.canvasUnit());
+    sk.circles.push(c);
+    sk.connectedNodes.push(c);
+    sk.editorLayoutChanged();
+    return c;
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Keys
+  // -----------------------------------------------------------------------
+
+  // Returns true when the key was an edit key
+  sk.handleEditorKey = function () {
+    let c = sk.editor.selected;
+    if (!c) return false;
+    if (sk.keyCode === sk.DELETE || sk.keyCode === sk.BACKSPACE) {
+      sk.circles.splice(sk.circles.indexOf(c), 1);
+      if (sk.connectedNodes.includes(c)) sk.connectedNodes.splice(sk.connectedNodes.indexOf(c), 1);
+      sk.editor.selected = null;
+    } else if ('123'.includes(sk.key)) {
+      let band = sk.editorBand(c, ['outer', 'middle', 'inner']['123'.indexOf(sk.key)]);
+      if (band) band.pattern = nextPattern(band.family, band.pattern);
+    } else if ('456'.includes(sk.key)) {
+      let band = sk.editorBand(c, ['outer', 'middle', 'inner']['456'.indexOf(sk.key)]);
+      if (band) band.colSlot = sk.nextSlot('pattern', band.colSlot);
+    } else if (sk.key === '7') {
+      c.innerBaseSlot = sk.nextSlot('base', c.innerBaseSlot);
+    } else if (sk.key === '0') {
+      if (sk.connectedNodes.includes(c)) {
+        sk.connectedNodes.splice(sk.connectedNodes.indexOf(c), 1);
+      } else {
+        // Keep connectedNodes in circle order, as createFixedLayout() does
+        sk.connectedNodes = sk.circles.filter(other => other === c || sk.connectedNodes.includes(other));
+      }
+    } else {
+      return false;
+    }
+    sk.editorLayoutChanged();
+    return true;
+  };
+
+  // The band of 'c' that the outer / middle / inner keys change, or null
+  // when the circle has no band in between its core and outermost band
+  sk.editorBand = function (c, which) {
+    let last = c.bands.length - 1;
+    if (which === 'outer') return c.bands[last];
+    if (which === 'inner') return c.bands[0];
+    let between = c.bands.slice(1, last);
+    if (between.length === 0) return null;
+    let f = sk.dist(sk.mouseX, sk.mouseY, c.x, c.y) / c.r;
+    let distance = band => sk.abs((band.from + band.to) / 2 - f);
+    return between.reduce((best, band) => distance(band) < distance(best) ? band : best);
+  };
+
+  // Move a palette slot on to the middle of the next colour in the list
+  sk.nextSlot = function (role, slot) {
+    let n = sk.paletteState.to[role].length;
+    let index = sk.min(sk.floor(slot * n), n - 1);
+    return ((index + 1) % n + 0.5) / n;
+  };
+
+  // Keep the edited layout as the active scene and regrow the network
+  sk.editorLayoutChanged = function () {
+    sk.activeScene = sk.serializeScene();
+    sk.activeScene.edges = null; // Let the topology join the edited circles
+    sk.prepareNetworkLines();
+  };
+
+  // -----------------------------------------------------------------------
+  //                             Overlay
+  // -----------------------------------------------------------------------
+
+  // Node markers and the selection ring, drawn on top of the artwork
+  sk.drawEditorOverlay = function () {
+    sk.push();
+    sk.noStroke();
+    sk.fill(255, 240, 200, 200);
+    for (let c of sk.connectedNodes) sk.ellipse(c.x, c.y, 6);
+    if (sk.editor.selected) {
+      sk.noFill();
+      sk.stroke(255, 215, 0);
+      sk.strokeWeight(2);
+      sk.ellipse(sk.editor.selected.x, sk.editor.selected.y, sk.editor.selected.r * 2 + 8);
+    }
+    sk.pop();
+  };
+}
+
+function nextPattern(band, name) {
+  let names = patternNames(band);
+  return names[(names.indexOf(name) + 1) % names.length];
+}
@@ -0,0 +1,211 @@
+// =======================================================================
+// ======================== Generational Evolution =======================
+// =======================================================================
+//
+// The loop is "the cycle of life", but normally every cycle replays the
+// same circles. In evolution mode ('V' or ?evolve=1) the composition
+// changes a little each time the loop comes round, at the bottom of the
+// rewind where every circle has shrunk away. With the mutation rate m
+// (?mutation=, 0.15 by default, also in the tuning panel), each circle:
+//   with chance m / 3   is replaced by an offspring of its two nearest
+//                       network nodes, taking each pattern and colour
+//                       from one parent or the other
+//   with chance 2m / 3  mutates one trait: a band's pattern or colour,
+//                       or the colour of its core
+//   with chance m / 2   has its network membership drawn again (with
+//                       the usual node share), joining or leaving
+// and the songlines are regrown from the new nodes, so the network grows
+// differently each generation.
+//
+// The changes follow the seed, so the same seed tells the same story.
+// The seed panel shows the generation, and 'save lineage' in the export
+// panel downloads the history: the founding circles and, for every
+// generation, each mutation, birth and change of membership, with circles
+// named by ids that stay with them (and go into saved scenes).
+//
+const MUTATION_RATE = 0.15;
+const LINEAGE_VERSION = 2; // 2: circles record their bands
+
+function installEvolution(sk) {
+  sk.evolution = {
+    active: false,
+    rate: MUTATION_RATE,
+    generation: 0,
+    cycles: 0,     // transport.cycles when the last generation was made
+    nextId: 0,     // Id for the next circle to be born
+    lineage: []    // One record per generation, founders first
+  };
+
+  sk.initEvolution = function () {
+    sk.evolution.active = sk.params().evolve === '1';
+    sk.evolution.cycles = sk.transport.cycles;
+    sk.updateSeedPanel();
+  };
+
+  sk.toggleEvolution = function () {
+    sk.evolution.active = !sk.evolution.active;
+    sk.evolution.cycles = sk.transport.cycles; // Count from now
+    sk.setURLParam('evolve', sk.evolution.active ? 1 : null);
+    sk.updateSeedPanel();
+  };
+
+  // Called in draw() after the transport: one generation when a loop has
+  // played through since the last one. After a sleeping tab the transport
+  // may count hundreds of loops at once; nobody saw them, so they make one
+  // generation, as in installation mode.
+  sk.updateEvolution = function () {
+    let ev = sk.evolution;
+    if (!ev.active || sk.editor.active || sk.exportState.running || sk.posterState.tile) {
+      ev.cycles = sk.transport.cycles;
+      return;
+    }
+    if (ev.cycles < sk.transport.cycles) {
+      ev.cycles = sk.transport.cycles;
+      sk.nextGeneration();
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Lineage
+  // -----------------------------------------------------------------------
+
+  // Start the history again when the circles are not the ones it knows
+  // (a new seed, layout or scene). Circles keep their ids in scenes, so an
+  // evolved scene carries on from its ids.
+  sk.startLineage = function () {
+    let ev = sk.evolution;
+    if (ev.lineage.length > 0 && sk.circles.some(c => c.lineageId !== undefined)) return;
+    ev.generation = 0;
+    ev.nextId = 0;
+    for (let c of sk.circles) {
+      if (c.lineageId !== undefined) ev.nextId = sk.max(ev.nextId, c.lineageId + 1);
+    }
+    for (let c of sk.circles) {
+      if (c.lineageId === undefined) c.lineageId = ev.nextId++;
+    }
+    ev.lineage = [{
+      generation: 0,
+      founders: sk.circles.map(c => sk.lineageTraits(c))
+    }];
+  };
+
+  sk.lineageTraits = function (c) {
+    return {
+      id: c.lineageId,
+      bands: c.bands.map(band => ({ family: band.family, pattern: band.pattern, color: band.colSlot })),
+      colors: { innerBase: c.innerBaseSlot },
+      node: sk.connectedNodes.includes(c)
+    };
+  };
+
+  sk.saveLineage = function () {
+    if (sk.evolution.lineage.length === 0) sk.startLineage();
+    let lineage = {
+      version: LINEAGE_VERSION,
+      seed: sk.currentSeed,
+      mutationRate: sk.evolution.rate,
+      generation: sk.evolution.generation,
+      generations: sk.evolution.lineage
+    };
+    let json = JSON.stringify(lineage, null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'songlines-' + sk.currentSeed + '.lineage.json');
+  };
+
+  // -----------------------------------------------------------------------
+  //                             Generations
+  // -----------------------------------------------------------------------
+
+  sk.nextGeneration = function () {
+    let ev = sk.evolution;
+    sk.startLineage();
+    ev.generation++;
+    // Seeded by generation, so a seed always evolves the same way
+    sk.randomSeed(mixSeed(mixSeed(sk.currentSeed, -5), ev.generation));
+    let events = [];
+    let nodes = sk.connectedNodes.slice(); // Parents come from the nodes the generation started with
+    for (let i = 0; i < sk.circles.length; i++) {
+      let c = sk.circles[i];
+      let roll = sk.random(1);
+      // Without two other nodes to inherit from, a circle mutates instead
+      let parents = roll < ev.rate / 3 ? sk.nearestNodes(c, nodes, 2) : [];
+      if (parents.length === 2) {
+        let child = sk.breedCircle(c, parents);
+        sk.circles[i] = child;
+        let n = sk.connectedNodes.indexOf(c);
+        if (n !== -1) sk.connectedNodes[n] = child;
+        events.push({ type: 'birth', id: child.lineageId, replaces: c.lineageId, parents: parents.map(p => p.lineageId) });
+        c = child;
+      } else if (roll < ev.rate) {
+        events.push(sk.mutateCircle(c));
+      }
+      // Membership is drawn again with the usual node share, so the
+      // network neither dies out nor fills up over the generations
+      let wasNode = sk.connectedNodes.includes(c);
+      let node = sk.random(1) < ev.rate / 2 ? sk.random(1) < sk.nodeChance : wasNode;
+      if (node !== wasNode) {
+        // Keep connectedNodes in circle order, as createFixedLayout() does
+        sk.connectedNodes = sk.circles.filter(other => other === c ? node : sk.connectedNodes.includes(other));
+        events.push({ type: node ? 'join' : 'leave', id: c.lineageId });
+      }
+    }
+    ev.lineage.push({ generation: ev.generation, events: events });
+
+    // Keep the evolved circles through resizes, like edit mode does, and
+    // let the topology join the new nodes
+    sk.activeScene = sk.serializeScene();
+    sk.activeScene.edges = null;
+    sk.prepareNetworkLines();
+    sk.updateSeedPanel();
+  };
+
+  // Change one trait of 'c' and return the lineage event. The traits are
+  // each band's pattern and colour, and the core's colour.
+  sk.mutateCircle = function (c) {
+    let trait = sk.floor(sk.random(c.bands.length * 2 + 1));
+    if (trait === c.bands.length * 2) {
+      let from = c.innerBaseSlot;
+      c.innerBaseSlot = sk.random();
+      return { type: 'mutation', id: c.lineageId, trait: 'core colour', from: from, to: c.innerBaseSlot };
+    }
+    let i = sk.floor(trait / 2);
+    let band = c.bands[i];
+    let property = trait % 2 === 0 ? 'pattern' : 'colSlot';
+    let from = band[property];
+    if (property === 'pattern') {
+      let names = patternNames(band.family).filter(name => name !== from);
+      if (names.length > 0) band.pattern = sk.random(names);
+    } else {
+      band.colSlot = sk.random();
+    }
+    let kind = property === 'pattern' ? 'pattern' : 'colour';
+    return { type: 'mutation', id: c.lineageId, trait: c.bandName(i) + ' ' + kind, from: from, to: band[property] };
+  };
+
+  // The 'count' nodes closest to 'c', nearest first
+  sk.nearestNodes = function (c, nodes, count) {
+    return nodes
+      .filter(node => node !== c)
+      .sort((a, b) => sk.dist(c.x, c.y, a.x, a.y) - sk.dist(c.x, c.y, b.x, b.y))
+      .slice(0, count);
+  };
+
+  // A new circle in the place of 'c', taking each trait from one of its
+  // parents. Parents can have other numbers of bands, so each band inherits
+  // from the band at the same relative depth (its pattern only when the
+  // family matches).
+  sk.breedCircle = function (c, parents) {
+    let child = new sk.Circle(c.x, c.y, c.r);
+    let n = child.bands.length;
+    child.bands.forEach((band, i) => {
+      for (let property of ['pattern', 'colSlot']) {
+        let parent = sk.random(parents);
+        let last = parent.bands.length - 1;
+        let from = parent.bands[n === 1 ? 0 : sk.round(i * last / (n - 1))];
+        if (property === 'colSlot' || from.family === band.family) band[property] = from[property];
+      }
+    });
+    child.innerBaseSlot = sk.random(parents).innerBaseSlot;
+    child.lineageId = sk.evolution.nextId++;
+    return child;
+  };
+}
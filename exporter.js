@@ -0,0 +1,374 @@
+// =======================================================================
+// ========================== Loop Exporter ==============================
+// =======================================================================
+//
+// Renders exactly one globalLoopDuration loop, frame by frame, and saves
+// it as a zipped PNG sequence or a WebM video. Screen capture drops
+// frames because it records in real time; here every frame is drawn with
+// redraw() at a loop position computed from the frame number, so the file
+// is smooth at the chosen frame rate however slow the machine is.
+//
+// The export resolution is reached by raising pixelDensity() for the
+// duration of the export: the layout keeps its canvas-relative size while
+// the canvas gets more pixels.
+//
+// Press 'E' to show the export panel (it also holds the SVG export).
+//
+// References:
+// redraw():       https://p5js.org/reference/p5/redraw/
+// pixelDensity(): https://p5js.org/reference/p5/pixelDensity/
+// WebCodecs VideoEncoder: https://developer.mozilla.org/docs/Web/API/VideoEncoder
+// WebM container: libraries/webm-muxer.js (https://github.com/Vanilagy/webm-muxer)
+//
+function installExporter(sk) {
+  sk.exportSettings = {
+    format: 'png',   // 'png' (zipped sequence) or 'webm'
+    fps: 60,         // frames per second of the exported loop
+    size: 1080       // long side of the output in pixels
+  };
+  sk.exportState = {
+    running: false,  // true while frames are being rendered
+    panel: null,     // p5 DOM element holding the export controls
+    status: null     // p5 DOM element showing progress
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Export panel
+  // -----------------------------------------------------------------------
+  sk.createExportPanel = function () {
+    let panel = sk.createDiv();
+    panel.class('export-panel');
+    panel.hide();
+
+    let formatSelect = sk.createSelect();
+    formatSelect.option('PNG sequence (.zip)', 'png');
+    formatSelect.option('WebM video', 'webm');
+    formatSelect.selected(sk.exportSettings.format);
+    formatSelect.changed(() => sk.exportSettings.format = formatSelect.value());
+    formatSelect.parent(panel);
+
+    let fpsSelect = sk.createSelect();
+    [24, 30, 60].forEach(fps => fpsSelect.option(fps + ' fps', fps));
+    fpsSelect.selected(String(sk.exportSettings.fps));
+    fpsSelect.changed(() => sk.exportSettings.fps = sk.int(fpsSelect.value()));
+    fpsSelect.parent(panel);
+
+    let sizeSelect = sk.createSelect();
+    [720, 1080, 2160].forEach(size => sizeSelect.option(size + ' px', size));
+    sizeSelect.selected(String(sk.exportSettings.size));
+    sizeSelect.changed(() => sk.exportSettings.size = sk.int(sizeSelect.value()));
+    sizeSelect.parent(panel);
+
+    let exportButton = sk.createButton('export loop');
+    exportButton.mousePressed(() => sk.exportLoop());
+    exportButton.parent(panel);
+
+    // Vector export of a single frame (svg-export.js). Leave the progress
+    // field empty to export the frame that is on screen.
+    let progressInput = sk.createInput('');
+    progressInput.attribute('placeholder', 'progress 0-1');
+    progressInput.size(90);
+    progressInput.parent(panel);
+
+    let svgButton = sk.createButton('export SVG');
+    svgButton.mousePressed(() => {
+      let value = parseFloat(progressInput.value());
+      if (Number.isFinite(value)) {
+        sk.exportSVG(sk.constrain(value, 0, 1));
+      } else {
+        sk.exportSVG();
+      }
+    });
+    svgButton.parent(panel);
+
+    // One frame far beyond screen size, rendered in tiles (poster.js)
+    let posterSelect = sk.createSelect();
+    [4000, 8000, 12000].forEach(size => posterSelect.option('poster ' + size + ' px', size));
+    posterSelect.selected(String(sk.posterState.size));
+    posterSelect.changed(() => sk.posterState.size = sk.int(posterSelect.value()));
+    posterSelect.parent(panel);
+
+    let posterButton = sk.createButton('render poster');
+    posterButton.mousePressed(() => sk.renderPoster());
+    posterButton.parent(panel);
+
+    // The whole composition as a reloadable JSON file (scene.js)
+    let sceneButton = sk.createButton('save scene');
+    sceneButton.mousePressed(() => sk.saveScene());
+    sceneButton.parent(panel);
+
+    // The history of evolution mode (evolution.js)
+    let lineageButton = sk.createButton('save lineage');
+    lineageButton.mousePressed(() => sk.saveLineage());
+    lineageButton.parent(panel);
+
+    sk.exportState.status = sk.createSpan('');
+    sk.exportState.status.parent(panel);
+    sk.exportState.panel = panel;
+  };
+
+  sk.toggleExportPanel = function () {
+    if (!sk.exportState.panel) sk.createExportPanel();
+    if (sk.exportState.panel.style('display') === 'none') {
+      sk.exportState.panel.show();
+    } else {
+      sk.exportState.panel.hide();
+    }
+  };
+
+  sk.setExportStatus = function (message) {
+    if (sk.exportState.status) sk.exportState.status.html(message);
+  };
+
+  // -----------------------------------------------------------------------
+  //                         Deterministic rendering
+  // -----------------------------------------------------------------------
+
+  // Render one loop and save it. Settings default to exportSettings.
+  sk.exportLoop = async function (settings = sk.exportSettings) {
+    if (sk.exportState.running) return;
+    sk.exportState.running = true;
+
+    // Remember what we are about to change, so the live view comes back as it was
+    let wasPlaying = sk.transport.playing;
+    let savedLoopTime = sk.transport.loopTime;
+    let savedTimeline = sk.transport.showTimeline;
+    let savedDensity = sk.pixelDensity();
+
+    sk.transport.playing = false;
+    sk.transport.showTimeline = false;
+    sk.noLoop(); // Frames are only drawn by redraw() until the export finishes
+    sk.pixelDensity(settings.size / sk.max(sk.width, sk.height));
+    sk.buildBackgroundLayer(); // The cached layer must match the new density
+
+    let frameTotal = sk.round((sk.globalLoopDuration / 1000) * settings.fps);
+    try {
+      if (settings.format === 'webm') {
+        await sk.exportWebM(frameTotal, settings);
+      } else {
+        await sk.exportPNGSequence(frameTotal, settings);
+      }
+    } catch (err) {
+      console.error(err);
+      sk.setExportStatus('export failed: ' + err.message);
+    } finally {
+      sk.pixelDensity(savedDensity);
+      sk.buildBackgroundLayer();
+      sk.transport.playing = wasPlaying;
+      sk.transport.showTimeline = savedTimeline;
+      sk.setLoopPosition(savedLoopTime);
+      sk.exportState.running = false;
+      sk.loop();
+    }
+  };
+
+  // Draw frame 'i' of 'frameTotal'. The loop position is derived from the
+  // frame number only, never from the clock.
+  sk.renderExportFrame = function (i, frameTotal) {
+    sk.setLoopPosition((i / frameTotal) * sk.globalLoopDuration);
+    sk.redraw();
+  };
+
+  sk.exportFileName = function (settings) {
+    return 'songlines-' + sk.currentSeed + '-' + settings.size + 'px-' + settings.fps + 'fps';
+  };
+
+  // -----------------------------------------------------------------------
+  //                         PNG sequence (.zip)
+  // -----------------------------------------------------------------------
+  //
+  // Frames are kept as PNG Blobs, which the browser can move out to disk,
+  // so long or large exports don't fill the tab's memory. Only one frame's
+  // bytes are read at a time, for its checksum. The ZIP format used here
+  // holds at most 65535 files and 4 GB, so a larger export is saved as
+  // several numbered ZIP files (part-1, part-2, ...), each with a share of
+  // the frames.
+  //
+  sk.exportPNGSequence = async function (frameTotal, settings) {
+    let files = [];
+    let zipBytes = ZIP_END_SIZE;
+    let parts = 0;
+    let digits = String(frameTotal).length;
+    let saveZip = () => {
+      parts++;
+      downloadBlob(createZip(files), sk.exportFileName(settings) + '-part-' + parts + '.zip');
+      files = [];
+      zipBytes = ZIP_END_SIZE;
+    };
+    for (let i = 0; i < frameTotal; i++) {
+      sk.renderExportFrame(i, frameTotal);
+      let blob = await new Promise(resolve => sk.drawingContext.canvas.toBlob(resolve, 'image/png'));
+      let name = 'frame-' + String(i + 1).padStart(digits, '0') + '.png';
+      let crc = crc32(new Uint8Array(await blob.arrayBuffer())); // The bytes are dropped again straight away
+      let bytes = zipEntrySize(name, blob.size);
+      if (files.length === ZIP_MAX_ENTRIES || zipBytes + bytes > ZIP_MAX_BYTES) {
+        saveZip();
+      }
+      files.push({ name: name, data: blob, crc: crc });
+      zipBytes += bytes;
+      sk.setExportStatus('frame ' + (i + 1) + ' / ' + frameTotal +
+        (parts > 0 ? ' (over 4 GB or 65535 frames: saving in parts, ' + parts + ' saved)' : ''));
+      await nextTick();
+    }
+    sk.setExportStatus('zipping...');
+    await nextTick();
+    if (parts === 0) {
+      downloadBlob(createZip(files), sk.exportFileName(settings) + '.zip');
+      sk.setExportStatus('saved ' + frameTotal + ' frames');
+    } else {
+      saveZip();
+      sk.setExportStatus('saved ' + frameTotal + ' frames in ' + parts + ' ZIP files (each under 4 GB)');
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                              WebM video
+  // -----------------------------------------------------------------------
+  //
+  // Each frame gets an exact timestamp (i / fps), so the video plays at the
+  // chosen frame rate no matter how long each frame took to render.
+  //
+  sk.exportWebM = async function (frameTotal, settings) {
+    if (typeof VideoEncoder === 'undefined') {
+      throw new Error('this browser has no WebCodecs support, use the PNG sequence');
+    }
+    let canvasElt = sk.drawingContext.canvas;
+    // Most encoders need even dimensions
+    let w = canvasElt.width - (canvasElt.width % 2);
+    let h = canvasElt.height - (canvasElt.height % 2);
+    let muxer = new WebMMuxer.Muxer({
+      target: new WebMMuxer.ArrayBufferTarget(),
+      video: { codec: 'V_VP9', width: w, height: h, frameRate: settings.fps }
+    });
+    let encoderError = null;
+    let encoder = new VideoEncoder({
+      output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+      error: err => encoderError = err
+    });
+    encoder.configure({
+      codec: 'vp09.00.10.08',
+      width: w,
+      height: h,
+      framerate: settings.fps,
+      bitrate: w * h * settings.fps * 0.2 // roughly 25 Mbit/s at 1080p60
+    });
+
+    let frameDuration = 1000000 / settings.fps; // microseconds
+    for (let i = 0; i < frameTotal; i++) {
+      if (encoderError) throw encoderError;
+      sk.renderExportFrame(i, frameTotal);
+      let frame = new VideoFrame(canvasElt, {
+        timestamp: sk.round(i * frameDuration),
+        duration: sk.round(frameDuration),
+        visibleRect: { x: 0, y: 0, width: w, height: h }
+      });
+      encoder.encode(frame, { keyFrame: i % settings.fps === 0 });
+      frame.close();
+      sk.setExportStatus('frame ' + (i + 1) + ' / ' + frameTotal);
+      // Wait for the encoder to catch up instead of queueing every frame in memory
+      while (encoder.encodeQueueSize > 4) await nextTick();
+      await nextTick();
+    }
+    await encoder.flush();
+    encoder.close();
+    if (encoderError) throw encoderError;
+    muxer.finalize();
+    downloadBlob(new Blob([muxer.target.buffer], { type: 'video/webm' }), sk.exportFileName(settings) + '.webm');
+    sk.setExportStatus('saved ' + frameTotal + ' frames');
+  };
+}
+
+// Let the browser repaint the progress text between frames
+function nextTick() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// -----------------------------------------------------------------------
+//                           File helpers
+// -----------------------------------------------------------------------
+function downloadBlob(blob, fileName) {
+  let url = URL.createObjectURL(blob);
+  let a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Minimal ZIP writer. PNG data is already compressed, so the files are
+// stored as they are ("store" method) and only need a CRC-32 each.
+// 'files' are { name, data, crc }, with data a Blob (or bytes) and crc
+// its CRC-32 (worked out here if left out). There is no ZIP64, so the
+// caller keeps each archive within ZIP_MAX_ENTRIES and ZIP_MAX_BYTES.
+// Format reference: https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+const ZIP_MAX_ENTRIES = 65535;       // 16-bit entry counts
+const ZIP_MAX_BYTES = 0xffffffff;    // 32-bit sizes and offsets
+const ZIP_END_SIZE = 22;             // End of central directory record
+
+// Bytes one file adds to an archive: local header, name, data and its
+// central directory entry (the name again)
+function zipEntrySize(fileName, size) {
+  return 30 + 46 + 2 * new TextEncoder().encode(fileName).length + size;
+}
+
+function createZip(files) {
+  let parts = [];
+  let central = [];
+  let offset = 0;
+  for (let file of files) {
+    let name = new TextEncoder().encode(file.name);
+    let crc = file.crc === undefined ? crc32(file.data) : file.crc;
+    let size = file.data.size === undefined ? file.data.length : file.data.size;
+
+    let local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // local file header signature
+    local.setUint16(4, 20, true);         // version needed to extract
+    local.setUint16(8, 0, true);          // compression: store
+    local.setUint16(12, 0x21, true);      // date: 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);      // compressed size
+    local.setUint32(22, size, true);      // uncompressed size
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, file.data);
+
+    let entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true); // central directory signature
+    entry.setUint16(4, 20, true);         // version made by
+    entry.setUint16(6, 20, true);         // version needed to extract
+    entry.setUint16(14, 0x21, true);      // date: 1980-01-01
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, size, true);
+    entry.setUint32(24, size, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);    // where the local header starts
+    central.push(entry, name);
+
+    offset += 30 + name.length + size;
+  }
+  let centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  let end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);     // end of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Pass the CRC of the bytes before to continue a checksum across pieces
+let crcTable = null;
+function crc32(bytes, previous = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,259 @@
+// =======================================================================
+// ========================= Installation Mode ===========================
+// =======================================================================
+//
+// For gallery screens that run the piece for weeks. Normally the loop
+// follows millis() from the moment the page opened; in installation mode
+// ('W' or ?installation=1) it follows the wall clock instead, so every
+// screen with the same URL shows the same moment, and a reload, a tab
+// that slept or a clock that jumped picks up at the right phase straight
+// away instead of racing through the time it missed.
+//
+//   ?cycle=60       minutes for one loop (grow and rewind), counted from
+//                   local midnight: 60 is a full bloom every hour, at half
+//                   past. Without it the loop keeps its own length.
+//   ?arc=0.3        a slow day-long arc on top: blooms reach their fullest
+//                   at noon and fall short by this share at midnight
+//                   (0 turns it off)
+//   ?reseed=1440    minutes between new compositions (1440 = daily). Each
+//                   one's seed follows from ?seed= and the time, so the
+//                   screens agree; the change waits for the end of a loop.
+//   ?closed=22-8    closed hours (H or H:MM, local time; may wrap past
+//                   midnight). The piece dims to ?dim= (0.1 by default,
+//                   0 for black) over a minute, then rests at one frame
+//                   per second until opening time.
+//   ?drift=4        pixels the picture wanders over the hours, so nothing
+//                   stays lit in the same place (0 turns it off)
+//   ?reload=24      hours after which the page reloads at the end of a
+//                   loop, to start fresh (only the sketch that owns the page)
+//
+// Exports, posters and edit mode are not affected.
+//
+// Reference: https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/Date
+//
+const INSTALLATION_ARC = 0.3;
+const INSTALLATION_DIM = 0.1;
+const INSTALLATION_DRIFT = 4;                 // px on an 800px canvas (see scaled())
+const INSTALLATION_DIM_FADE = 60000;          // ms to dim or brighten at closing and opening
+const INSTALLATION_REST_FPS = 1;              // Frame rate while dimmed for the night
+const INSTALLATION_DRIFT_PERIODS = [37, 53];  // Minutes for one sway in x and in y
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+
+function installInstallation(sk) {
+  sk.installation = {
+    active: false,
+    cycle: null,       // ms of wall-clock time per loop, null = the loop's own length
+    arc: INSTALLATION_ARC,
+    reseed: null,      // ms between new seeds, null = never
+    closed: null,      // { from, to } in minutes after midnight, or null
+    dim: INSTALLATION_DIM,
+    drift: INSTALLATION_DRIFT,
+    reload: null,      // ms after which the page reloads, null = never
+    baseSeed: null,    // ?seed=, which the scheduled seeds follow from
+    cycleIndex: null,  // Wall-clock loop number shown last frame
+    jumped: false,     // The clock skipped loops since last frame (sleep, clock change)
+    seedSlot: null,    // Reseed period whose seed is showing
+    cycles: 0,         // transport.cycles when the last reseed was looked at
+    brightness: 1,     // 1 open, down to 'dim' when closed
+    lastUpdate: null,  // Date.now() at the last update
+    resting: false,
+    restoreFPS: 60,    // Frame rate to go back to after resting
+    started: Date.now()
+  };
+
+  // Minutes (or hours) given as a URL parameter, in ms; null when missing or not positive
+  function duration(value, unit) {
+    let n = parseFloat(value);
+    return Number.isFinite(n) && n > 0 ? n * unit : null;
+  }
+
+  sk.initInstallation = function () {
+    let inst = sk.installation;
+    let params = sk.params();
+    let wasActive = inst.active;
+    inst.active = params.installation === '1';
+    inst.cycle = duration(params.cycle, MINUTE);
+    inst.reseed = duration(params.reseed, MINUTE);
+    inst.reload = duration(params.reload, 60 * MINUTE);
+    inst.closed = parseClosedHours(decodeURIComponent(params.closed || '')); // ':' may arrive as %3A
+    let arc = parseFloat(params.arc);
+    inst.arc = Number.isFinite(arc) ? sk.constrain(arc, 0, 1) : INSTALLATION_ARC;
+    let dim = parseFloat(params.dim);
+    inst.dim = Number.isFinite(dim) ? sk.constrain(dim, 0, 1) : INSTALLATION_DIM;
+    let drift = parseFloat(params.drift);
+    inst.drift = Number.isFinite(drift) ? sk.max(drift, 0) : INSTALLATION_DRIFT;
+    let seed = parseInt(params.seed, 10);
+    inst.baseSeed = Number.isFinite(seed) ? seed : sk.currentSeed;
+    if (wasActive && !inst.active) sk.endInstallationRest();
+    // The scheduled composition from the start; setup() builds it
+    if (inst.active && inst.reseed) {
+      inst.seedSlot = sk.reseedSlot();
+      sk.currentSeed = sk.scheduledSeed(inst.seedSlot);
+      sk.updateSeedPanel();
+    }
+  };
+
+  sk.toggleInstallation = function () {
+    let inst = sk.installation;
+    inst.active = !inst.active;
+    sk.setURLParam('installation', inst.active ? 1 : null);
+    inst.cycleIndex = null;
+    inst.lastUpdate = null;
+    if (inst.active) {
+      inst.seedSlot = null; // Show this hour's composition, if it is scheduled
+      inst.cycles = sk.transport.cycles;
+    } else {
+      sk.endInstallationRest();
+      inst.brightness = 1;
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                             Wall clock
+  // -----------------------------------------------------------------------
+
+  // Milliseconds since 1970 in local time, so whole days (and hours, and
+  // any period that divides them) begin at local midnight
+  sk.localTime = function () {
+    let now = new Date();
+    return now.getTime() - now.getTimezoneOffset() * MINUTE;
+  };
+
+  // Called by updateTransport() instead of advancing the loop by the frame
+  // time. The loop position is worked out from the clock every frame, so
+  // nothing is ever caught up: after a long gap the loop simply is where
+  // the clock says, and only a loop seen through to its end counts as a
+  // cycle (evolution.js makes one generation, not one for every loop missed).
+  sk.followWallClock = function () {
+    let inst = sk.installation;
+    let period = inst.cycle || sk.globalLoopDuration;
+    let time = sk.localTime();
+    let index = Math.floor(time / period);
+    if (inst.cycleIndex !== null && index === inst.cycleIndex + 1) {
+      sk.transport.cycles++;
+    } else if (inst.cycleIndex !== null && index !== inst.cycleIndex) {
+      inst.jumped = true;
+    }
+    inst.cycleIndex = index;
+    sk.setLoopPosition((time - index * period) / period * sk.globalLoopDuration);
+  };
+
+  // Scale for masterP: 1 at noon, 1 - arc at midnight
+  sk.dayArc = function () {
+    let inst = sk.installation;
+    if (!inst.active || inst.arc === 0 || sk.exportState.running || sk.posterState.tile) return 1;
+    let day = (sk.localTime() % DAY) / DAY;
+    return 1 - inst.arc * (0.5 + 0.5 * Math.cos(day * Math.PI * 2));
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Schedule
+  // -----------------------------------------------------------------------
+
+  sk.reseedSlot = function () {
+    return Math.floor(sk.localTime() / sk.installation.reseed);
+  };
+
+  // The same slot always gets the same seed, on every screen
+  sk.scheduledSeed = function (slot) {
+    return mixSeed(sk.installation.baseSeed, slot) % 1000000000;
+  };
+
+  // Called in draw() after the transport: new seeds, closed hours and reloads
+  sk.updateInstallation = function () {
+    let inst = sk.installation;
+    if (!inst.active) return;
+    let now = Date.now();
+    let elapsed = inst.lastUpdate === null ? Infinity : sk.max(now - inst.lastUpdate, 0);
+    inst.lastUpdate = now;
+    // Only at the bottom of the rewind (or after a jump), so no circle vanishes mid-bloom
+    let loopEnded = sk.transport.cycles !== inst.cycles || inst.jumped;
+    inst.cycles = sk.transport.cycles;
+    inst.jumped = false;
+
+    if (inst.reseed && !sk.exportState.running) {
+      let slot = sk.reseedSlot();
+      if (slot !== inst.seedSlot && (loopEnded || inst.seedSlot === null)) {
+        inst.seedSlot = slot;
+        let seed = sk.scheduledSeed(slot);
+        if (seed !== sk.currentSeed) sk.useSeed(seed, false); // The URL keeps the base seed
+      }
+    }
+
+    // Ease towards the brightness for the time of day. After a long gap
+    // it is simply there.
+    let target = sk.isClosed() ? inst.dim : 1;
+    let step = elapsed / INSTALLATION_DIM_FADE;
+    inst.brightness = target < inst.brightness ? sk.max(target, inst.brightness - step) : sk.min(target, inst.brightness + step);
+    if (target < 1 && inst.brightness === target) {
+      sk.startInstallationRest();
+    } else {
+      sk.endInstallationRest();
+    }
+
+    if (inst.reload && sk.options.url && loopEnded && now - inst.started > inst.reload) {
+      window.location.reload();
+    }
+  };
+
+  sk.isClosed = function () {
+    let closed = sk.installation.closed;
+    if (!closed) return false;
+    let minute = (sk.localTime() % DAY) / MINUTE;
+    if (closed.from <= closed.to) return minute >= closed.from && minute < closed.to;
+    return minute >= closed.from || minute < closed.to; // Past midnight
+  };
+
+  // Fewer frames while nobody is there to see them
+  sk.startInstallationRest = function () {
+    if (sk.installation.resting) return;
+    sk.installation.resting = true;
+    sk.installation.restoreFPS = sk.getTargetFrameRate();
+    sk.frameRate(INSTALLATION_REST_FPS);
+  };
+
+  sk.endInstallationRest = function () {
+    if (!sk.installation.resting) return;
+    sk.installation.resting = false;
+    sk.frameRate(sk.installation.restoreFPS);
+  };
+
+  // -----------------------------------------------------------------------
+  //                        Burn-in drift and dimming
+  // -----------------------------------------------------------------------
+
+  // Move the whole picture a few pixels along a slow figure, different in
+  // x and y so it covers an area rather than a line. Called in draw()
+  // inside the same push() as the layers.
+  sk.applyInstallationDrift = function () {
+    let inst = sk.installation;
+    if (!inst.active || inst.drift === 0 || sk.exportState.running || sk.posterState.tile) return;
+    let minutes = sk.localTime() / MINUTE;
+    let [px, py] = INSTALLATION_DRIFT_PERIODS;
+    let d = sk.scaled(inst.drift);
+    sk.translate(d * Math.sin(minutes / px * Math.PI * 2), d * Math.sin(minutes / py * Math.PI * 2));
+  };
+
+  // Darken everything while closed (and while fading in and out of it)
+  sk.drawInstallationDim = function () {
+    let inst = sk.installation;
+    if (!inst.active || inst.brightness >= 1 || sk.exportState.running || sk.posterState.tile) return;
+    sk.push();
+    sk.noStroke();
+    sk.fill(0, (1 - inst.brightness) * 255);
+    sk.rect(0, 0, sk.width, sk.height);
+    sk.pop();
+  };
+}
+
+// "22-8" or "21:30-07:45" -> { from, to } in minutes after midnight,
+// or null when missing or unreadable
+function parseClosedHours(value) {
+  let match = /^(\d{1,2})(?::(\d{2}))?-(\d{1,2})(?::(\d{2}))?$/.exec(value);
+  if (!match) return null;
+  let from = parseInt(match[1], 10) * 60 + parseInt(match[2] || '0', 10);
+  let to = parseInt(match[3], 10) * 60 + parseInt(match[4] || '0', 10);
+  if (from > 24 * 60 || to > 24 * 60 || from === to) return null;
+  return { from: from, to: to };
+}
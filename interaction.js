@@ -0,0 +1,165 @@
+// =======================================================================
+// ========================= Interactive Circles =========================
+// =======================================================================
+//
+// An optional layer for exhibitions, where visitors want to touch the
+// circles. 'I' (or ?interact=1) switches it on:
+//   hover a circle          it blooms fully, whatever the loop is doing
+//   click or tap a circle   it replays its inner -> middle -> outer growth
+//                           and sends a ripple along its songlines; each
+//                           circle the ripple reaches blooms in turn and
+//                           passes it on, up to RIPPLE_HOPS lines away
+// On a touch screen the finger hovers while it is down.
+//
+// Each touched circle blends from its place in the global timeline to its
+// own progress with a weight that eases in and out, so when nobody is
+// touching it any more it glides back into the loop instead of jumping.
+// Interaction runs on the real clock (it keeps responding while the
+// transport is paused) and never affects exports.
+//
+const INTERACTION_EASE = 400;  // Time constant for blending in and out (ms)
+const BLOOM_HOLD = 2500;       // How long a replayed circle stays in full bloom (ms)
+const RIPPLE_SPEED = 600;      // How fast a ripple runs along a songline (px per second at REFERENCE_SIZE)
+const RIPPLE_HOPS = 2;         // How many lines away from the touched circle a ripple reaches
+
+function installInteraction(sk) {
+  sk.interaction = {
+    active: false,
+    pointer: null,      // Mouse or finger position over the canvas, or null
+    hovered: null,      // The Circle under the pointer
+    states: new Map(),  // Circle -> { weight, replayStart } while it is touched or returning
+    ripples: []         // Pulses running along songlines
+  };
+
+  sk.initInteraction = function () {
+    sk.interaction.active = sk.params().interact === '1';
+  };
+
+  sk.toggleInteraction = function () {
+    sk.interaction.active = !sk.interaction.active;
+    sk.setURLParam('interact', sk.interaction.active ? 1 : null);
+  };
+
+  // -----------------------------------------------------------------------
+  //                                Input
+  // -----------------------------------------------------------------------
+
+  // p5 reports the mouse anywhere on the page; only the canvas counts
+  sk.setInteractionPointer = function (x, y) {
+    let inside = x >= 0 && x <= sk.width && y >= 0 && y <= sk.height;
+    sk.interaction.pointer = inside ? { x: x, y: y } : null;
+  };
+
+  sk.clearInteractionPointer = function () {
+    sk.interaction.pointer = null;
+  };
+
+  // Replay the circle under the pointer and ripple out from it.
+  // Returns true when a circle was hit.
+  sk.interactionPressed = function () {
+    let pointer = sk.interaction.pointer;
+    if (!sk.interaction.active || !pointer) return false;
+    let c = sk.circleAt(pointer.x, pointer.y);
+    if (!c) return false;
+    sk.replayCircle(c);
+    sk.sendRipple(c, new Set([c]), 1);
+    return true;
+  };
+
+  // -----------------------------------------------------------------------
+  //                          Blooms and ripples
+  // -----------------------------------------------------------------------
+
+  sk.interactionState = function (c) {
+    let state = sk.interaction.states.get(c);
+    if (!state) {
+      state = { weight: 0, replayStart: null };
+      sk.interaction.states.set(c, state);
+    }
+    return state;
+  };
+
+  // Grow the circle again from its core
+  sk.replayCircle = function (c) {
+    let state = sk.interactionState(c);
+    state.replayStart = sk.millis();
+    state.weight = 1; // A replay starts from nothing straight away
+  };
+
+  // Pulses along every songline of 'from' to circles the ripple has not
+  // reached yet. 'visited' is shared by the whole ripple.
+  sk.sendRipple = function (from, visited, hop) {
+    for (let L of sk.networkLines) {
+      if (L.from !== from && L.to !== from) continue;
+      let target = L.from === from ? L.to : L.from;
+      if (visited.has(target)) continue;
+      visited.add(target);
+      sk.interaction.ripples.push({
+        line: L,
+        reverse: L.to === from, // Runs from the line's end back to its start
+        target: target,
+        start: sk.millis(),
+        duration: L.length / sk.scaled(RIPPLE_SPEED) * 1000,
+        visited: visited,
+        hop: hop
+      });
+    }
+  };
+
+  // Called at the top of draw(): follow the pointer, ease every touched
+  // circle towards its target and let arriving ripples bloom their circles
+  sk.updateInteraction = function () {
+    let ia = sk.interaction;
+    ia.hovered = ia.active && ia.pointer && !sk.editor.active ? sk.circleAt(ia.pointer.x, ia.pointer.y) : null;
+    if (ia.hovered) sk.interactionState(ia.hovered);
+
+    let now = sk.millis();
+    ia.ripples = ia.ripples.filter(R => {
+      if (now < R.start + R.duration) return true;
+      sk.replayCircle(R.target);
+      if (R.hop < RIPPLE_HOPS) sk.sendRipple(R.target, R.visited, R.hop + 1);
+      return false;
+    });
+
+    // Frame-rate independent easing towards each circle's target weight
+    let step = 1 - Math.exp(-sk.deltaTime / INTERACTION_EASE);
+    for (let [c, state] of ia.states) {
+      let replaying = state.replayStart !== null && now < state.replayStart + c.totalDuration + BLOOM_HOLD;
+      let target = c === ia.hovered || replaying ? 1 : 0;
+      state.weight += (target - state.weight) * step;
+      if (!replaying) state.replayStart = null;
+      // Back in the loop: forget the circle
+      if (target === 0 && state.weight < 0.001) ia.states.delete(c);
+    }
+  };
+
+  // A circle's progress (0-1) with interaction blended over 'loopP', its
+  // progress in the global timeline
+  sk.interactiveProgress = function (c, loopP) {
+    if (sk.exportState.running || sk.posterState.tile) return loopP;
+    let state = sk.interaction.states.get(c);
+    if (!state) return loopP;
+    let own = state.replayStart === null ? 1 : sk.constrain((sk.millis() - state.replayStart) / c.totalDuration, 0, 1);
+    return sk.lerp(loopP, own, state.weight);
+  };
+
+  // Glowing pulses with a short tail, drawn with the songlines in their colour
+  sk.drawRipples = function () {
+    if (sk.exportState.running || sk.posterState.tile) return;
+    let now = sk.millis();
+    let col = sk.paletteColor('link');
+    sk.push();
+    sk.noStroke();
+    for (let R of sk.interaction.ripples) {
+      let t = sk.constrain((now - R.start) / R.duration, 0, 1);
+      for (let k = 0; k < 4; k++) {
+        let s = (t - k * 0.03) * R.line.length;
+        if (s < 0) break;
+        let pos = sk.songlinePointAt(R.line, R.reverse ? R.line.length - s : s);
+        sk.fill(sk.red(col), sk.green(col), sk.blue(col), 230 - k * 55);
+        sk.ellipse(pos.x, pos.y, sk.scaled(16 - k * 3));
+      }
+    }
+    sk.pop();
+  };
+}
@@ -0,0 +1,258 @@
+// =======================================================================
+// ========================= Layout Strategies ===========================
+// =======================================================================
+//
+// A layout strategy decides where the circles go and how big they are.
+// Each strategy is a generate(settings) function returning a list of
+// placements { x, y, r } in canvas pixels; createFixedLayout() in
+// sketch.js turns them into Circle objects. Because every Circle scales
+// its patterns from this.r, radii can vary from circle to circle.
+//
+// Settings shared by all strategies:
+//   count    number of circles
+//   radius   [min, max] radius as a fraction of the canvas's shorter side
+//   overlap  how much two circles may overlap, as a fraction of the sum
+//            of their radii (0 = never touch, 1 = no limit)
+//   edge     'clip' lets circles run off the canvas, 'inside' shrinks or
+//            drops them so they stay fully visible
+//
+// Choose a strategy with ?layout=<name> (and optionally ?count=, ?rmin=,
+// ?rmax=, ?overlap=, ?edge=) or cycle through them with the 'L' key.
+//
+// References:
+// Poisson-disc sampling: https://www.cs.ubc.ca/~rbridson/docs/bridson-siggraph07-poissondisk.pdf
+// Phyllotaxis (golden angle): https://en.wikipedia.org/wiki/Phyllotaxis
+//
+const LAYOUT_MAX_COUNT = 500; // Most circles ?count= asks for (Poisson sampling tries count * 300 spots)
+
+function installLayouts(sk) {
+  sk.layoutStrategies = {
+    // The original composition: five parallel diagonals of circles
+    diagonal: {
+      defaults: { count: 25, radius: [0.125, 0.125], overlap: 1, edge: 'clip' },
+      generate: settings => sk.generateDiagonalLayout(settings)
+    },
+    // Hexagonal packing centred on the canvas
+    hex: {
+      defaults: { count: 19, radius: [0.09, 0.11], overlap: 0.1, edge: 'inside' },
+      generate: settings => sk.generateHexLayout(settings)
+    },
+    // Random scatter where no two circles sit closer than the overlap allows
+    poisson: {
+      defaults: { count: 30, radius: [0.05, 0.13], overlap: 0, edge: 'inside' },
+      generate: settings => sk.generatePoissonLayout(settings)
+    },
+    // Sunflower-seed spiral, small circles in the middle growing outwards
+    phyllotaxis: {
+      defaults: { count: 40, radius: [0.035, 0.08], overlap: 0.15, edge: 'inside' },
+      generate: settings => sk.generatePhyllotaxisLayout(settings)
+    },
+    // One central circle with rings of circles orbiting it
+    orbits: {
+      defaults: { count: 25, radius: [0.05, 0.1], overlap: 0.05, edge: 'inside' },
+      generate: settings => sk.generateOrbitLayout(settings)
+    }
+  };
+
+  // Strategy name and any settings overriding its defaults
+  sk.layoutChoice = { strategy: 'diagonal', overrides: {} };
+
+  // Read ?layout= and the optional setting parameters from the URL
+  sk.initLayoutChoice = function () {
+    let params = sk.params();
+    if (sk.layoutStrategies[params.layout]) sk.layoutChoice.strategy = params.layout;
+    let overrides = {};
+    // Anything that is not a number keeps the strategy's own setting
+    let count = parseInt(params.count, 10);
+    if (Number.isFinite(count)) overrides.count = sk.constrain(count, 1, LAYOUT_MAX_COUNT);
+    let rMin = parseFloat(params.rmin);
+    let rMax = parseFloat(params.rmax);
+    rMin = Number.isFinite(rMin) && rMin > 0 ? rMin : null;
+    rMax = Number.isFinite(rMax) && rMax > 0 ? rMax : null;
+    if (rMin !== null || rMax !== null) {
+      let defaults = sk.layoutStrategies[sk.layoutChoice.strategy].defaults.radius;
+      if (rMin === null) rMin = sk.min(defaults[0], rMax);
+      if (rMax === null) rMax = sk.max(defaults[1], rMin);
+      overrides.radius = [sk.min(rMin, rMax), sk.max(rMin, rMax)];
+    }
+    let overlap = parseFloat(params.overlap);
+    if (Number.isFinite(overlap)) overrides.overlap = sk.constrain(overlap, 0, 1);
+    if (params.edge === 'clip' || params.edge === 'inside') overrides.edge = params.edge;
+    sk.layoutChoice.overrides = overrides;
+  };
+
+  sk.layoutSettings = function () {
+    let strategy = sk.layoutStrategies[sk.layoutChoice.strategy];
+    return Object.assign({}, strategy.defaults, sk.layoutChoice.overrides);
+  };
+
+  // Switch to the next strategy (the 'L' key) and rebuild the composition.
+  // Setting overrides are dropped, since each strategy has its own scale.
+  sk.cycleLayout = function () {
+    let names = Object.keys(sk.layoutStrategies);
+    sk.layoutChoice.strategy = names[(names.indexOf(sk.layoutChoice.strategy) + 1) % names.length];
+    sk.layoutChoice.overrides = {};
+    sk.activeScene = null; // Leave a loaded scene for a generated layout
+    sk.setURLParam('scene', null);
+    sk.setURLParam('layout', sk.layoutChoice.strategy);
+    ['count', 'rmin', 'rmax', 'overlap', 'edge'].forEach(name => sk.setURLParam(name, null));
+    sk.createFixedLayout();
+    sk.prepareNetworkLines();
+  };
+
+  // Run the chosen strategy and apply the edge and overlap rules
+  sk.generateLayout = function () {
+    let settings = sk.layoutSettings();
+    let placements = sk.layoutStrategies[sk.layoutChoice.strategy].generate(settings);
+    return sk.fitLayout(placements, settings);
+  };
+
+  // -----------------------------------------------------------------------
+  //                         Edge & overlap rules
+  // -----------------------------------------------------------------------
+
+  // Keep placements in order, shrinking them to fit inside the canvas when
+  // edge is 'inside' and dropping any that overlap an earlier one too much,
+  // until 'count' circles have been accepted.
+  sk.fitLayout = function (placements, settings) {
+    let minR = settings.radius[0] * sk.canvasUnit();
+    let accepted = [];
+    for (let c of placements) {
+      if (accepted.length >= settings.count) break;
+      let placed = { x: c.x, y: c.y, r: c.r };
+      if (settings.edge === 'inside') {
+        placed.r = sk.min(placed.r, placed.x, placed.y, sk.width - placed.x, sk.height - placed.y);
+        if (placed.r < minR * 0.5) continue; // Too small to read once shrunk
+      }
+      if (!sk.overlapsTooMuch(placed, accepted, settings.overlap)) accepted.push(placed);
+    }
+    return accepted;
+  };
+
+  sk.overlapsTooMuch = function (c, others, overlap) {
+    if (overlap >= 1) return false;
+    for (let o of others) {
+      if (sk.dist(c.x, c.y, o.x, o.y) < (c.r + o.r) * (1 - overlap)) return true;
+    }
+    return false;
+  };
+
+  sk.randomRadius = function (settings) {
+    return sk.random(settings.radius[0], settings.radius[1]) * sk.canvasUnit();
+  };
+
+  // -----------------------------------------------------------------------
+  //                             Generators
+  // -----------------------------------------------------------------------
+
+  // The original five diagonals. With the default 25 circles this is the
+  // same layout as before; other counts spread evenly over the lines.
+  sk.generateDiagonalLayout = function (settings) {
+    let placements = [];
+    let perLine = sk.ceil(settings.count / 5);
+    // Keep each diagonal the same length whatever the number of circles
+    let stepX = (sk.width / 4.8) * 4 / sk.max(perLine - 1, 1);
+    let stepY = (sk.height / 4.8) * 4 / sk.max(perLine - 1, 1);
+    // Parameters: startX, startY of each diagonal
+    let starts = [
+      [sk.width / 7.1, sk.height / 7.1],
+      [sk.width / 2,   (sk.height * 2) / 20],
+      [(sk.width * 4) / 5, 0],
+      [sk.width / 20,  sk.height / 2.2],
+      [0,           (sk.height * 8) / 10]
+    ];
+    for (let [startX, startY] of starts) {
+      sk.addCirclesOnLine(placements, perLine, startX, startY, stepX, stepY, settings);
+    }
+    return placements;
+  };
+
+  sk.addCirclesOnLine = function (placements, count, startX, startY, stepX, stepY, settings) {
+    for (let i = 0; i < count; i++) {
+      let x = startX + stepX * i;
+      let y = startY + stepY * i;
+      placements.push({ x: x, y: y, r: sk.randomRadius(settings) });
+    }
+  };
+
+  // Hexagonal lattice sized so 'count' cells fill the disc inscribed in
+  // the canvas (about 3/4 of its area), filled from the centre outwards
+  sk.generateHexLayout = function (settings) {
+    let cellArea = (sk.width * sk.height * 0.75) / settings.count;
+    let spacing = sk.sqrt((2 * cellArea) / sk.sqrt(3)); // Distance between neighbours
+    let rowHeight = spacing * sk.sqrt(3) / 2;
+    let cells = [];
+    let rows = sk.ceil(sk.height / rowHeight) + 2;
+    let cols = sk.ceil(sk.width / spacing) + 2;
+    for (let row = -rows; row <= rows; row++) {
+      for (let col = -cols; col <= cols; col++) {
+        let x = sk.width / 2 + (col + (sk.abs(row) % 2) * 0.5) * spacing;
+        let y = sk.height / 2 + row * rowHeight;
+        if (x < 0 || x > sk.width || y < 0 || y > sk.height) continue;
+        cells.push({ x: x, y: y, d: sk.dist(x, y, sk.width / 2, sk.height / 2) });
+      }
+    }
+    cells.sort((a, b) => a.d - b.d);
+    // A circle never grows past the gap to its neighbours (plus the overlap allowance)
+    let maxR = (spacing / 2) / sk.max(1 - settings.overlap, 0.01);
+    return cells.map(c => ({ x: c.x, y: c.y, r: sk.min(sk.randomRadius(settings), maxR) }));
+  };
+
+  // Variable-radius Poisson-disc scatter by dart throwing: random
+  // candidates are accepted only if they respect the overlap rule, so the
+  // circles spread evenly without a visible grid.
+  sk.generatePoissonLayout = function (settings) {
+    let placements = [];
+    let attempts = settings.count * 300;
+    for (let i = 0; i < attempts && placements.length < settings.count; i++) {
+      let r = sk.randomRadius(settings);
+      let c = settings.edge === 'inside'
+        ? { x: sk.random(r, sk.width - r), y: sk.random(r, sk.height - r), r: r }
+        : { x: sk.random(sk.width), y: sk.random(sk.height), r: r };
+      if (!sk.overlapsTooMuch(c, placements, settings.overlap)) placements.push(c);
+    }
+    return placements;
+  };
+
+  // Golden-angle spiral: the n-th circle sits at angle n * 137.5° and
+  // distance proportional to sqrt(n), which packs them evenly like seeds
+  // in a sunflower head.
+  sk.generatePhyllotaxisLayout = function (settings) {
+    let placements = [];
+    let goldenAngle = sk.PI * (3 - sk.sqrt(5));
+    let maxR = settings.radius[1] * sk.canvasUnit();
+    let spread = (sk.min(sk.width, sk.height) / 2 - maxR * 0.5) / sk.sqrt(settings.count);
+    for (let i = 0; i < settings.count; i++) {
+      let angle = i * goldenAngle;
+      let d = spread * sk.sqrt(i + 0.5);
+      // Radii grow towards the rim, with a little random variation
+      let t = settings.count > 1 ? i / (settings.count - 1) : 0;
+      let r = sk.lerp(settings.radius[0], settings.radius[1], t) * sk.canvasUnit() * sk.random(0.9, 1.1);
+      placements.push({ x: sk.width / 2 + sk.cos(angle) * d, y: sk.height / 2 + sk.sin(angle) * d, r: r });
+    }
+    return placements;
+  };
+
+  // A central circle with rings of circles around it. Each ring holds as
+  // many circles as fit around its circumference.
+  sk.generateOrbitLayout = function (settings) {
+    let placements = [{ x: sk.width / 2, y: sk.height / 2, r: settings.radius[1] * sk.canvasUnit() }];
+    let averageR = ((settings.radius[0] + settings.radius[1]) / 2) * sk.canvasUnit();
+    let ringGap = averageR * 2 * (1 - settings.overlap / 2);
+    let orbit = placements[0].r + averageR;
+    while (placements.length < settings.count * 2 && orbit < sk.max(sk.width, sk.height)) {
+      let slots = sk.max(3, sk.floor((sk.TWO_PI * orbit) / (averageR * 2.2)));
+      let offset = sk.random(sk.TWO_PI); // Rotate each ring so they don't line up
+      for (let i = 0; i < slots; i++) {
+        let angle = offset + (sk.TWO_PI / slots) * i;
+        placements.push({
+          x: sk.width / 2 + sk.cos(angle) * orbit,
+          y: sk.height / 2 + sk.sin(angle) * orbit,
+          r: sk.randomRadius(settings)
+        });
+      }
+      orbit += ringGap;
+    }
+    return placements;
+  };
+}
@@ -0,0 +1,339 @@
+// =======================================================================
+// ======================== Network Topology =============================
+// =======================================================================
+//
+// Decides which connected nodes are joined by songlines (the topology)
+// and in which order the lines grow (the growth order). prepareNetworkLines()
+// in sketch.js runs both and stores the result in networkLines.
+//
+// Topologies:
+//   distance   every pair closer than linkDistance times the canvas's
+//              shorter side (1 / 2.8 by default, the original rule)
+//   knn        each node joined to its k nearest neighbours
+//   mst        minimum spanning tree: the shortest lines that still join
+//              every node, with no loops
+//   delaunay   Delaunay triangulation: a planar mesh of near neighbours
+//   gabriel    Gabriel graph: pairs whose diameter circle holds no other
+//              node (a sparser subset of the Delaunay mesh)
+//
+// Growth orders:
+//   roots      lines spread outward from root circles in breadth-first
+//              order, each line growing away from the node already reached
+//   sequential lines start one after another in list order (the original)
+//
+// Choose with ?topology=, ?k=, ?growth= and ?roots= in the URL, or cycle
+// the topology with the 'N' key.
+//
+// References:
+// Prim's algorithm:     https://en.wikipedia.org/wiki/Prim%27s_algorithm
+// Bowyer–Watson:        https://en.wikipedia.org/wiki/Bowyer%E2%80%93Watson_algorithm
+// Gabriel graph:        https://en.wikipedia.org/wiki/Gabriel_graph
+//
+function installNetwork(sk) {
+  sk.networkTopologies = {
+    distance: (nodes, settings) => sk.buildDistanceEdges(nodes, settings),
+    knn: (nodes, settings) => sk.buildNearestNeighbourEdges(nodes, settings),
+    mst: (nodes, settings) => sk.buildSpanningTreeEdges(nodes, settings),
+    delaunay: (nodes, settings) => sk.buildDelaunayEdges(nodes, settings),
+    gabriel: (nodes, settings) => sk.buildGabrielEdges(nodes, settings)
+  };
+
+  sk.networkSettings = {
+    topology: 'distance',
+    k: 3,             // neighbours per node for 'knn'
+    growth: 'roots',  // 'roots' or 'sequential'
+    roots: 1,         // how many root circles the growth starts from
+    linkDistance: 1 / 2.8 // longest line for 'distance', as a share of the canvas's shorter side
+  };
+
+  sk.initNetworkSettings = function () {
+    let params = sk.params();
+    if (sk.networkTopologies[params.topology]) sk.networkSettings.topology = params.topology;
+    if (params.k) sk.networkSettings.k = sk.max(1, sk.int(params.k));
+    if (params.growth === 'roots' || params.growth === 'sequential') sk.networkSettings.growth = params.growth;
+    if (params.roots) sk.networkSettings.roots = sk.max(1, sk.int(params.roots));
+  };
+
+  // Switch to the next topology (the 'N' key)
+  sk.cycleTopology = function () {
+    let names = Object.keys(sk.networkTopologies);
+    sk.setTopology(names[(names.indexOf(sk.networkSettings.topology) + 1) % names.length]);
+  };
+
+  // Use a named topology and rebuild the lines
+  sk.setTopology = function (name) {
+    sk.networkSettings.topology = name;
+    sk.setURLParam('topology', name);
+    if (sk.activeScene) sk.activeScene.edges = null; // Rebuild a loaded scene's network too
+    sk.prepareNetworkLines();
+  };
+
+  // Edges as [i, j] index pairs into 'nodes' for the current topology
+  sk.buildNetworkEdges = function (nodes) {
+    return sk.networkTopologies[sk.networkSettings.topology](nodes, sk.networkSettings);
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Topologies
+  // -----------------------------------------------------------------------
+
+  sk.buildDistanceEdges = function (nodes, settings) {
+    let edges = [];
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        // Only connect nodes that are within a certain distance
+        // so that circles next to each other are connected
+        if (sk.nodeDistance(nodes[i], nodes[j]) < sk.canvasUnit() * settings.linkDistance) edges.push([i, j]);
+      }
+    }
+    return edges;
+  };
+
+  sk.buildNearestNeighbourEdges = function (nodes, settings) {
+    let edges = new sk.EdgeSet();
+    for (let i = 0; i < nodes.length; i++) {
+      let others = [];
+      for (let j = 0; j < nodes.length; j++) {
+        if (j !== i) others.push({ j: j, d: sk.nodeDistance(nodes[i], nodes[j]) });
+      }
+      others.sort((a, b) => a.d - b.d);
+      for (let n = 0; n < sk.min(settings.k, others.length); n++) edges.add(i, others[n].j);
+    }
+    return edges.list;
+  };
+
+  // Prim's algorithm on the complete graph of nodes
+  sk.buildSpanningTreeEdges = function (nodes) {
+    let edges = [];
+    if (nodes.length < 2) return edges;
+    let inTree = new Array(nodes.length).fill(false);
+    let bestDist = new Array(nodes.length).fill(Infinity);
+    let bestFrom = new Array(nodes.length).fill(-1);
+    bestDist[0] = 0;
+    for (let step = 0; step < nodes.length; step++) {
+      // Closest node not yet in the tree
+      let u = -1;
+      for (let i = 0; i < nodes.length; i++) {
+        if (!inTree[i] && (u === -1 || bestDist[i] < bestDist[u])) u = i;
+      }
+      inTree[u] = true;
+      if (bestFrom[u] !== -1) edges.push([bestFrom[u], u]);
+      for (let v = 0; v < nodes.length; v++) {
+        let d = sk.nodeDistance(nodes[u], nodes[v]);
+        if (!inTree[v] && d < bestDist[v]) {
+          bestDist[v] = d;
+          bestFrom[v] = u;
+        }
+      }
+    }
+    return edges;
+  };
+
+  // Bowyer–Watson: add points one at a time, remove every triangle whose
+  // circumcircle contains the new point, and fill the hole with triangles
+  // fanning out from that point.
+  sk.buildDelaunayEdges = function (nodes) {
+    if (nodes.length < 2) return [];
+    if (nodes.length === 2) return [[0, 1]];
+    // Nudge every point by a tiny, fixed amount: layouts like the diagonal
+    // grid put many nodes on one line, which would give zero-area triangles
+    let points = nodes.map((n, i) => ({ x: n.x + ((i * 0.618) % 1) * 0.01, y: n.y + ((i * 0.382) % 1) * 0.01 }));
+    // A "super triangle" far larger than the canvas contains every point
+    let size = sk.max(sk.width, sk.height) * 10;
+    let s = points.length;
+    points.push({ x: -size, y: -size }, { x: size * 2, y: -size }, { x: sk.width / 2, y: size * 2 });
+    let triangles = [sk.makeTriangle(points, s, s + 1, s + 2)];
+
+    for (let p = 0; p < s; p++) {
+      let pt = points[p];
+      let bad = triangles.filter(t => sk.dist(pt.x, pt.y, t.cx, t.cy) < t.r);
+      // Edges of the hole: edges that belong to exactly one bad triangle
+      let boundary = [];
+      for (let t of bad) {
+        for (let [a, b] of [[t.a, t.b], [t.b, t.c], [t.c, t.a]]) {
+          let shared = bad.some(o => o !== t && triangleHasEdge(o, a, b));
+          if (!shared) boundary.push([a, b]);
+        }
+      }
+      triangles = triangles.filter(t => !bad.includes(t));
+      for (let [a, b] of boundary) triangles.push(sk.makeTriangle(points, a, b, p));
+    }
+
+    let edges = new sk.EdgeSet();
+    for (let t of triangles) {
+      for (let [a, b] of [[t.a, t.b], [t.b, t.c], [t.c, t.a]]) {
+        if (a < s && b < s) edges.add(a, b); // Skip edges to the super triangle
+      }
+    }
+    return edges.list;
+  };
+
+  sk.makeTriangle = function (points, a, b, c) {
+    let A = points[a], B = points[b], C = points[c];
+    // Circumcircle centre from the perpendicular bisectors
+    let d = 2 * (A.x * (B.y - C.y) + B.x * (C.y - A.y) + C.x * (A.y - B.y));
+    let a2 = A.x * A.x + A.y * A.y, b2 = B.x * B.x + B.y * B.y, c2 = C.x * C.x + C.y * C.y;
+    let cx = (a2 * (B.y - C.y) + b2 * (C.y - A.y) + c2 * (A.y - B.y)) / d;
+    let cy = (a2 * (C.x - B.x) + b2 * (A.x - C.x) + c2 * (B.x - A.x)) / d;
+    return { a: a, b: b, c: c, cx: cx, cy: cy, r: sk.dist(A.x, A.y, cx, cy) };
+  };
+
+  // Keep a pair only if no other node lies inside the circle that has the
+  // pair as its diameter
+  sk.buildGabrielEdges = function (nodes) {
+    let edges = [];
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        let mx = (nodes[i].x + nodes[j].x) / 2;
+        let my = (nodes[i].y + nodes[j].y) / 2;
+        let radius = sk.nodeDistance(nodes[i], nodes[j]) / 2;
+        let blocked = nodes.some((n, k) => k !== i && k !== j && sk.dist(n.x, n.y, mx, my) < radius);
+        if (!blocked) edges.push([i, j]);
+      }
+    }
+    return edges;
+  };
+
+  // -----------------------------------------------------------------------
+  //                             Growth order
+  // -----------------------------------------------------------------------
+
+  // Turn edges into networkLines entries with a start time (ms of network
+  // time) for each line. Lines are oriented: they grow from x1,y1 ('from')
+  // to x2,y2 ('to').
+  sk.orderNetworkGrowth = function (nodes, edges) {
+    if (sk.networkSettings.growth === 'sequential') {
+      // Each line starts a bit later for a staggered effect
+      return edges.map(([i, j], n) => makeNetworkLine(nodes[i], nodes[j], n * sk.lineDelay));
+    }
+    return sk.growFromRoots(nodes, edges);
+  };
+
+  // Breadth-first growth. A node is "reached" when the line leading to it
+  // has finished growing; only then do lines start from it, one lineDelay
+  // apart. Lines to nodes that were already reached close a loop and are
+  // still grown from the side that got there first.
+  sk.growFromRoots = function (nodes, edges) {
+    let neighbours = nodes.map(() => []);
+    edges.forEach(([i, j], e) => {
+      neighbours[i].push({ node: j, edge: e });
+      neighbours[j].push({ node: i, edge: e });
+    });
+    // Nearest neighbours first, so the closest circles are joined first
+    neighbours.forEach((list, i) => list.sort((a, b) =>
+      sk.nodeDistance(nodes[i], nodes[a.node]) - sk.nodeDistance(nodes[i], nodes[b.node])));
+
+    let arrival = new Array(nodes.length).fill(null); // ms when each node is reached
+    for (let root of sk.pickRoots(nodes, neighbours)) arrival[root] = 0;
+
+    let lines = [];
+    let edgeUsed = new Array(edges.length).fill(false);
+    let done = new Array(nodes.length).fill(false);
+    while (true) {
+      // Next reached node to expand, in order of arrival
+      let u = -1;
+      for (let i = 0; i < nodes.length; i++) {
+        if (!done[i] && arrival[i] !== null && (u === -1 || arrival[i] < arrival[u])) u = i;
+      }
+      if (u === -1) break;
+      done[u] = true;
+      let sibling = 0;
+      for (let { node: v, edge: e } of neighbours[u]) {
+        if (edgeUsed[e]) continue;
+        edgeUsed[e] = true;
+        let startT = arrival[u] + sibling * sk.lineDelay;
+        sibling++;
+        lines.push(makeNetworkLine(nodes[u], nodes[v], startT));
+        if (arrival[v] === null) arrival[v] = startT + sk.lineGrowDuration;
+      }
+    }
+    // Sort by start time so "now" sweeps through the list in order
+    lines.sort((a, b) => a.startT - b.startT);
+    return lines;
+  };
+
+  // The first root is the node nearest the canvas centre; extra roots are
+  // chosen as far as possible from the roots already picked. Every
+  // separate group of connected nodes also gets a root of its own, so no
+  // line ever starts unconnected to what has already grown.
+  sk.pickRoots = function (nodes, neighbours) {
+    let candidates = [];
+    for (let i = 0; i < nodes.length; i++) {
+      if (neighbours[i].length > 0) candidates.push(i);
+    }
+    if (candidates.length === 0) return [];
+
+    let roots = [];
+    let first = candidates.reduce((best, i) =>
+      sk.dist(nodes[i].x, nodes[i].y, sk.width / 2, sk.height / 2) <
+      sk.dist(nodes[best].x, nodes[best].y, sk.width / 2, sk.height / 2) ? i : best);
+    roots.push(first);
+    while (roots.length < sk.min(sk.networkSettings.roots, candidates.length)) {
+      let far = candidates.reduce((best, i) =>
+        sk.nearestRootDistance(nodes, roots, i) > sk.nearestRootDistance(nodes, roots, best) ? i : best);
+      roots.push(far);
+    }
+
+    // One more root for every group of nodes the chosen roots cannot reach
+    let group = new Array(nodes.length).fill(-1);
+    let markGroup = (start, id) => {
+      let stack = [start];
+      group[start] = id;
+      while (stack.length > 0) {
+        let u = stack.pop();
+        for (let { node: v } of neighbours[u]) {
+          if (group[v] === -1) {
+            group[v] = id;
+            stack.push(v);
+          }
+        }
+      }
+    };
+    roots.forEach(r => { if (group[r] === -1) markGroup(r, r); });
+    for (let i of candidates) {
+      if (group[i] === -1) {
+        roots.push(i);
+        markGroup(i, i);
+      }
+    }
+    return roots;
+  };
+
+  sk.nearestRootDistance = function (nodes, roots, i) {
+    return sk.min(roots.map(r => sk.nodeDistance(nodes[i], nodes[r])));
+  };
+
+  // -----------------------------------------------------------------------
+  //                               Helpers
+  // -----------------------------------------------------------------------
+
+  sk.nodeDistance = function (a, b) {
+    // Compute Euclidean distance between two circle centres.
+    // dist() is from the p5.js reference: https://p5js.org/reference/p5/dist/
+    return sk.dist(a.x, a.y, b.x, b.y);
+  };
+
+  // Undirected edge list without duplicates
+  sk.EdgeSet = class EdgeSet {
+    constructor() {
+      this.list = [];
+      this.keys = new Set();
+    }
+
+    add(i, j) {
+      let key = sk.min(i, j) + '-' + sk.max(i, j);
+      if (this.keys.has(key)) return;
+      this.keys.add(key);
+      this.list.push([sk.min(i, j), sk.max(i, j)]);
+    }
+  };
+}
+
+function triangleHasEdge(t, a, b) {
+  let v = [t.a, t.b, t.c];
+  return v.includes(a) && v.includes(b);
+}
+
+function makeNetworkLine(from, to, startT) {
+  return { x1: from.x, y1: from.y, x2: to.x, y2: to.y, from: from, to: to, startT: startT };
+}
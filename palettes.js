@@ -0,0 +1,254 @@
+// =======================================================================
+// ========================== Palette Library ============================
+// =======================================================================
+//
+// Named colour palettes (Aboriginal-inspired earth tones). Each palette
+// has a background, base colours for the circle cores, pattern colours
+// and a colour for the songlines. Colours are plain [r, g, b(, a)] arrays
+// or "#rrggbb" strings, so palettes can also be loaded from JSON files.
+//
+// Circles do not store colours, only palette *slots*: a number between 0
+// and 1 saying where in the list their colour sits. When the palette
+// changes, every circle keeps its slot and its colours cross-fade to the
+// colour at the same place in the new palette instead of re-randomising.
+//
+// Choose with ?palette=<name>, load extra palettes with
+// ?palettes=<file.json> (see palettes/extra.json), or cycle with 'C'.
+//
+const PALETTES = {
+  'desert-night': {
+    background: [30, 20, 15],  // Deep, dark earth background
+    base: [
+      [90, 40, 20],            // (Red Ochre)
+      [60, 30, 15],            // (Deep Earth)
+      [40, 45, 35],            // (Bush Green)
+      [110, 60, 30],           // (Burnt Orange)
+      [20, 20, 20]             // (Charcoal)
+    ],
+    pattern: [
+      [255, 255, 255],         // (Ceremony White)
+      [255, 240, 200],         // (Cream)
+      [255, 215, 0],           // (Sun Yellow)
+      [255, 140, 80],          // (Bright Ochre)
+      [160, 180, 140],         // (Sage)
+      [200, 200, 210]          // (Ash)
+    ],
+    link: [240, 230, 200, 180] // Creamy colour, semi-transparent
+  },
+  'ochre-dawn': {
+    background: [110, 50, 25], // Red ochre ground
+    base: [[60, 25, 12], [150, 75, 35], [45, 30, 25], [175, 105, 45]],
+    pattern: [[255, 255, 255], [255, 230, 170], [255, 200, 60], [255, 170, 120], [235, 205, 160]],
+    link: [255, 235, 190, 170]
+  },
+  'saltwater': {
+    background: [12, 28, 42],  // Deep sea at night
+    base: [[20, 60, 80], [30, 45, 60], [15, 80, 90], [60, 40, 55]],
+    pattern: [[255, 255, 255], [240, 220, 170], [120, 210, 210], [255, 150, 120], [170, 200, 230]],
+    link: [200, 235, 240, 170]
+  },
+  'bush-tucker': {
+    background: [28, 36, 22],  // Dark scrub green
+    base: [[70, 80, 40], [110, 60, 30], [50, 35, 25], [90, 100, 60]],
+    pattern: [[255, 250, 230], [240, 200, 90], [200, 90, 60], [190, 210, 150], [230, 160, 190]],
+    link: [235, 225, 180, 170]
+  },
+  'charcoal-clay': {
+    background: [18, 18, 20],  // Charcoal
+    base: [[120, 40, 30], [70, 70, 75], [40, 40, 44], [150, 90, 60]],
+    pattern: [[255, 255, 255], [220, 80, 50], [250, 200, 80], [180, 180, 190]],
+    link: [230, 225, 220, 170]
+  }
+};
+
+// Contrast ratio below which a pattern colour is reported as hard to see
+// against the background (WCAG's minimum for graphics is 3:1)
+const MIN_PATTERN_CONTRAST = 3;
+// How long a palette change takes to cross-fade (ms)
+const PALETTE_FADE_DURATION = 1500;
+
+// Why a palette definition can't be used, or null when it can: it needs a
+// background colour and non-empty base and pattern lists (link is
+// optional), each colour a "#rgb", "#rrggbb" or "#rrggbbaa" string or an
+// [r, g, b(, a)] array. p5 would draw anything else as white.
+function paletteProblem(def) {
+  let isColor = value => (typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) ||
+    (Array.isArray(value) && value.length >= 1 && value.length <= 4 && value.every(Number.isFinite));
+  if (!def || typeof def !== 'object') return 'not a palette';
+  if (def.background === undefined) return 'no background colour';
+  if (!isColor(def.background)) return 'the background is not a colour';
+  for (let role of ['base', 'pattern']) {
+    if (!Array.isArray(def[role]) || def[role].length === 0) return 'no ' + role + ' colours';
+    if (!def[role].every(isColor)) return 'a ' + role + ' colour is not a colour';
+  }
+  if (def.link !== undefined && !isColor(def.link)) return 'the link colour is not a colour';
+  return null;
+}
+
+function installPalettes(sk) {
+  // Each sketch has its own copy of the library, plus any palettes passed
+  // to createSonglineSketch() as options.palettes
+  sk.palettes = Object.assign({}, PALETTES, sk.options.palettes);
+
+  sk.paletteState = {
+    name: null,     // Name of the active (target) palette
+    from: null,     // Compiled palette we are fading from
+    to: null,       // Compiled palette we are fading to
+    fadeStart: 0,   // millis() when the fade started
+    t: 1,           // Fade progress this frame (1 = finished)
+    label: null,    // p5 DOM element showing the palette name
+    labelTimer: null
+  };
+
+  // Pick the starting palette and load extra palettes from JSON if asked
+  sk.initPalettes = function () {
+    let params = sk.params();
+    let name = sk.palettes[params.palette] ? params.palette : 'desert-night';
+    sk.setPalette(name, false);
+    if (params.palettes) {
+      sk.loadPalettes(decodeURIComponent(params.palettes), () => {
+        if (sk.palettes[params.palette]) sk.setPalette(params.palette);
+      });
+    }
+  };
+
+  // Load a JSON file of { name: palette } entries and add them to the
+  // library. Entries that are not usable palettes are skipped with a warning.
+  // Reference: https://p5js.org/reference/p5/loadJSON/
+  sk.loadPalettes = function (url, onLoaded) {
+    sk.loadJSON(url, data => {
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        console.warn('Could not load palettes from ' + url + ': expected an object of named palettes');
+        return;
+      }
+      for (let name of Object.keys(data)) {
+        let problem = paletteProblem(data[name]);
+        if (problem) {
+          console.warn('Skipping palette "' + name + '" from ' + url + ': ' + problem);
+        } else {
+          sk.palettes[name] = data[name];
+        }
+      }
+      if (onLoaded) onLoaded();
+    }, err => console.warn('Could not load palettes from ' + url, err));
+  };
+
+  // Switch to a named palette, cross-fading unless 'fade' is false
+  sk.setPalette = function (name, fade = true) {
+    let target = sk.compilePalette(sk.palettes[name]);
+    sk.paletteState.from = fade && sk.paletteState.to ? sk.currentPaletteSnapshot() : target;
+    sk.paletteState.to = target;
+    sk.paletteState.fadeStart = sk.millis();
+    sk.paletteState.t = fade ? 0 : 1;
+    sk.paletteState.name = name;
+    // The un-blended target colours stay available in the old globals
+    sk.circleBasePalette = target.base;
+    sk.patternPalette = target.pattern;
+    sk.globalBgColor = fade ? sk.paletteState.from.background : target.background;
+    let weak = sk.checkPaletteContrast(name, target);
+    if (fade) {
+      sk.showPaletteLabel(name, weak);
+      sk.setURLParam('palette', name);
+    }
+  };
+
+  sk.cyclePalette = function () {
+    let names = Object.keys(sk.palettes);
+    sk.setPalette(names[(names.indexOf(sk.paletteState.name) + 1) % names.length]);
+  };
+
+  // Advance the cross-fade. Called once at the top of draw().
+  sk.updatePalette = function () {
+    sk.paletteState.t = sk.constrain((sk.millis() - sk.paletteState.fadeStart) / PALETTE_FADE_DURATION, 0, 1);
+    sk.globalBgColor = sk.paletteColor('background');
+  };
+
+  // Colour for a role ('background', 'base', 'pattern', 'link') and, for the
+  // list roles, a slot between 0 and 1. Blends old and new palettes mid-fade.
+  sk.paletteColor = function (role, slot = 0) {
+    let to = sk.pickSlot(sk.paletteState.to[role], slot);
+    if (sk.paletteState.t >= 1) return to;
+    let from = sk.pickSlot(sk.paletteState.from[role], slot);
+    return sk.lerpColor(from, to, sk.paletteState.t);
+  };
+
+  sk.pickSlot = function (value, slot) {
+    if (!Array.isArray(value)) return value;
+    return value[sk.min(sk.floor(slot * value.length), value.length - 1)];
+  };
+
+  // The colours on screen right now, so a new fade can start mid-fade.
+  // Sampled at the target's slot positions.
+  sk.currentPaletteSnapshot = function () {
+    let snapshot = {};
+    for (let role of ['background', 'link']) snapshot[role] = sk.paletteColor(role);
+    for (let role of ['base', 'pattern']) {
+      let n = sk.paletteState.to[role].length;
+      snapshot[role] = [];
+      for (let i = 0; i < n; i++) snapshot[role].push(sk.paletteColor(role, (i + 0.5) / n));
+    }
+    return snapshot;
+  };
+
+  // Palette definition (arrays / hex strings) -> p5.Color objects
+  sk.compilePalette = function (def) {
+    let toColor = value => Array.isArray(value) ? sk.color(...value) : sk.color(value);
+    return {
+      background: toColor(def.background),
+      base: def.base.map(toColor),
+      pattern: def.pattern.map(toColor),
+      link: toColor(def.link || [240, 230, 200, 180])
+    };
+  };
+
+  // -----------------------------------------------------------------------
+  //                            Contrast check
+  // -----------------------------------------------------------------------
+  //
+  // WCAG relative luminance and contrast ratio:
+  // https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio
+  //
+  sk.checkPaletteContrast = function (name, palette) {
+    let weak = palette.pattern.filter(c => sk.contrastRatio(c, palette.background) < MIN_PATTERN_CONTRAST);
+    for (let c of weak) {
+      console.warn('Palette "' + name + '": pattern colour ' + c.toString('#rrggbb') +
+        ' has low contrast against the background (' +
+        sk.nf(sk.contrastRatio(c, palette.background), 1, 2) + ':1, aim for ' + MIN_PATTERN_CONTRAST + ':1)');
+    }
+    return weak;
+  };
+
+  sk.contrastRatio = function (a, b) {
+    let la = sk.relativeLuminance(a);
+    let lb = sk.relativeLuminance(b);
+    return (sk.max(la, lb) + 0.05) / (sk.min(la, lb) + 0.05);
+  };
+
+  sk.relativeLuminance = function (c) {
+    let channel = v => {
+      v /= 255;
+      return v <= 0.03928 ? v / 12.92 : sk.pow((v + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(sk.red(c)) + 0.7152 * channel(sk.green(c)) + 0.0722 * channel(sk.blue(c));
+  };
+
+  // -----------------------------------------------------------------------
+  //                            Palette label
+  // -----------------------------------------------------------------------
+
+  // Briefly show the palette name (and any contrast warning) on screen
+  sk.showPaletteLabel = function (name, weak) {
+    if (!sk.paletteState.label) {
+      sk.paletteState.label = sk.createDiv('');
+      sk.paletteState.label.class('palette-label');
+    }
+    let text = 'palette: ' + name;
+    if (weak.length > 0) {
+      text += ' — ' + weak.length + ' low-contrast pattern colour' + (weak.length > 1 ? 's' : '');
+    }
+    sk.paletteState.label.html(text);
+    sk.paletteState.label.style('opacity', '1');
+    clearTimeout(sk.paletteState.labelTimer);
+    sk.paletteState.labelTimer = setTimeout(() => sk.paletteState.label.style('opacity', '0'), 2500);
+  };
+}
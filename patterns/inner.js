@@ -0,0 +1,43 @@
+// =======================================================================
+//                    INNER PATTERNS (Animated)
+// =======================================================================
+//
+// Patterns for the core of the circle, drawn on top of the inner base
+// disc (up to 0.25 of the circle radius, or the core band's own range).
+// Each draw(col, p) runs with 'this' set to the Circle being drawn, with
+// the origin already moved to its centre, so it can use the band helpers
+// (bandRadius(), bandSize()) and the helper shapes (drawIrregularBlob(),
+// drawHandDrawnCircle(), jitter()).
+// See patterns/registry.js for how patterns are registered and picked.
+//
+
+// Simple large blob (central “eye” or core)
+registerPattern({
+  name: 'blob',
+  band: 'inner',
+  draw(col, p, sk) {
+    this.drawIrregularBlob(0, 0, this.bandRadius(0.15) * p, col); // 'p' controls size (Radius size)
+  }
+});
+
+// Spiral line pattern
+registerPattern({
+  name: 'spiral',
+  band: 'inner',
+  draw(col, p, sk) {
+    sk.noFill();
+    sk.stroke(col);
+    sk.strokeWeight(this.bandSize(0.015));
+
+    // Here we again use beginShape() + curveVertex() to build a spiral-like
+    // path, applying the same hand-drawn curve technique to the inner core.
+    sk.beginShape();
+    let total = sk.floor(50 * p); // 'p' controls length of spiral (Number/Range)
+    for (let i = 0; i < total; i++) {
+      let r = sk.map(i, 0, 50, 0, this.bandRadius(0.2));
+      let angle = i * 0.4;
+      sk.curveVertex(sk.cos(angle) * r, sk.sin(angle) * r);
+    }
+    sk.endShape();
+  }
+});
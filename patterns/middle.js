@@ -0,0 +1,111 @@
+// =======================================================================
+//                    MIDDLE PATTERNS (Animated)
+// =======================================================================
+//
+// Patterns for the middle bands, written for 0.2–0.5 of the circle radius
+// and moved into each band's own range by bandRadius() and bandSize().
+// Each draw(col, p) runs with 'this' set to the Circle being drawn, with
+// the origin already moved to its centre, so it can use the band helpers
+// (bandRadius(), bandSize()) and the helper shapes (drawIrregularBlob(),
+// drawHandDrawnCircle(), jitter()).
+// See patterns/registry.js for how patterns are registered and picked.
+//
+
+// Concentric dots
+// small version of the outer "dots" pattern
+registerPattern({
+  name: 'concentric-dots',
+  band: 'middle',
+  draw(col, p, sk) {
+    let dotSize = this.bandSize(0.04);
+    let spacing = dotSize * 1.5 * sk.lod.dotSpacing; // Wider at lower detail (quality.js)
+    for (let r = this.bandRadius(0.2);
+         r < this.bandRadius(0.5) * p; // 'p' controls max radius (Range)
+         r += spacing) {
+
+      let count = sk.floor((sk.TWO_PI * r) / spacing);
+      for (let i = 0; i < count; i++) {
+        let angle = (sk.TWO_PI / count) * i;
+        this.drawIrregularBlob(r, angle, dotSize, col);
+      }
+    }
+  }
+});
+
+// U-shape symbols
+// Represents a person sitting in Indigenous art
+registerPattern({
+  name: 'u-shapes',
+  band: 'middle',
+  draw(col, p, sk) {
+    sk.noFill();
+    sk.stroke(col);
+    sk.strokeWeight(this.bandSize(0.02));
+    let count = 8; // The total number of U-shapes to draw.
+    let r     = this.bandRadius(0.35); // The radius of the orbit (the circle) on which the U-shapes will be placed.
+    let maxCount = count * p; // 'p' controls how many (Number)
+    for (let i = 0; i < maxCount; i++) {
+      let angle = (sk.TWO_PI / count) * i;
+      // Calculate the angle for this specific shape's position around the circle.
+      // (e.g., 0, 45, 90, 135 degrees...)
+      sk.push();
+      sk.rotate(angle);
+      sk.translate(r, 0);
+      sk.rotate(sk.PI / 2);
+      // arc() draws a semicircle from angle 0 to PI (180 degrees), creating a U-shape.
+      sk.arc(0, 0, this.bandSize(0.15), this.bandSize(0.15), 0, sk.PI);
+      sk.pop();
+    }
+  }
+});
+
+// Solid rings
+registerPattern({
+  name: 'solid-rings',
+  band: 'middle',
+  draw(col, p, sk) {
+    sk.noFill();
+    sk.stroke(col);
+    sk.strokeWeight(this.bandSize(0.01));
+    
+    // This pattern uses color from the constructor, not a new random one
+    this.drawHandDrawnCircle(this.bandRadius(0.45) * p, null, col, null); // 'p' controls radius (Radius size)
+
+    let col2 = col; // Use stable color
+    this.drawHandDrawnCircle(this.bandRadius(0.3) * p, null, col2, null); // 'p' controls radius (Radius size)
+  }
+});
+
+// Concentric rings
+registerPattern({
+  name: 'concentric-rings',
+  band: 'middle',
+  draw(col, p, sk) {
+    sk.noFill();
+    sk.stroke(col);
+
+    let baseStrokeWeight = this.bandSize(0.01);
+    let numRings = 5; // The total number of concentric rings to draw.
+
+    for (let j = 0; j < numRings; j++) {
+      let currentRadius = sk.map(
+        j,
+        0, numRings - 1,
+        this.bandRadius(0.3),
+        this.bandRadius(0.5)
+      );
+      currentRadius *= p; // 'p' controls radius (Radius size)
+      sk.strokeWeight(baseStrokeWeight * this.jitter(0.8, 1.2));
+      sk.beginShape();
+      let points = 25;
+      for (let i = 0; i <= points; i++) {
+        let angle  = (sk.TWO_PI / points) * i;
+        let jitter = this.jitter(-this.bandSize(0.025), this.bandSize(0.025));
+        let radius = currentRadius + jitter;
+        sk.curveVertex(sk.cos(angle) * radius,
+                    sk.sin(angle) * radius);
+      }
+      sk.endShape(sk.CLOSE);
+    }
+  }
+});
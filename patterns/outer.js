@@ -0,0 +1,122 @@
+// =======================================================================
+//                    OUTER PATTERNS (Animated)
+// =======================================================================
+//
+// Patterns for the outer bands, written for 0.6–0.95 of the circle radius
+// and moved into each band's own range by bandRadius() and bandSize().
+// Each draw(col, p) runs with 'this' set to the Circle being drawn, with
+// the origin already moved to its centre, so it can use the band helpers
+// (bandRadius(), bandSize()) and the helper shapes (drawIrregularBlob(),
+// drawHandDrawnCircle(), jitter()).
+// See patterns/registry.js for how patterns are registered and picked.
+//
+
+// Irregular dots ring
+registerPattern({
+  name: 'dots',
+  band: 'outer',
+  draw(col, p, sk) {
+    let dotSize    = this.bandSize(0.07);
+    let dotSpacing = this.bandSize(0.09) * sk.lod.dotSpacing; // Wider at lower detail (quality.js)
+  
+    // the dots ring starts from a radius of 0.65 times the radius of the circle
+    // and will end at 0.95 times the radius of the circle (in the outermost band)
+    // you can adjust all the parameters to achieve the effect you want
+    for (let radius = this.bandRadius(0.65);
+         radius < this.bandRadius(0.95) * p; // 'p' controls max radius (Scope)
+         radius += dotSpacing) {
+      let count = sk.floor((sk.TWO_PI * radius) / dotSpacing); // calculate the number of dots in this radius
+      //so the density of dots on each circle is identical
+      for (let i = 0; i < count; i++) { // draw dots ring
+        let angle = (sk.TWO_PI / count) * i;
+        this.drawIrregularBlob(radius, angle, dotSize, col);
+      }
+    }
+  }
+});
+
+// Radiating lines (sunburst)
+// Uses rotate() to simplify drawing lines radiating from center
+registerPattern({
+  name: 'radiating-lines',
+  band: 'outer',
+  draw(col, p, sk) {
+    let numLines = 40;
+    sk.stroke(col);
+    sk.strokeWeight(this.bandSize(0.015));
+    sk.strokeCap(sk.ROUND);
+    let maxLines = numLines * p; // 'p' controls how many lines (Number)
+    for (let i = 0; i < maxLines; i++) {
+      let angle = (sk.TWO_PI / numLines) * i + this.jitter(-0.05, 0.05); // add random jitter to each line
+      sk.push();
+      sk.rotate(angle); // Rotate context
+      // Draw line along the X-axis
+      sk.line(this.bandRadius(0.6), 0, this.bandRadius(0.95), 0);
+      // Draw dot at the tip
+      this.drawIrregularBlob(this.bandRadius(0.95), 0, this.bandSize(0.03), col);
+      sk.pop();
+    }
+  }
+});
+
+// Striped ring
+registerPattern({
+  name: 'striped-ring',
+  band: 'outer',
+  draw(col, p, sk) {
+    sk.noFill();
+    sk.stroke(col);
+    let baseStrokeWeight = this.bandSize(0.025);
+    let numRings = 2; // we only want 2 rings to make the pattern look more brief
+    // You can increase the number to get a more dense ring pattern
+    for (let i = 0; i < numRings; i++) {
+      // The map() function scales a value from one range to another.
+      // Here, it takes the loop counter 'i' (which goes from 0 to numRings - 1)
+      // and converts it to a corresponding radius value
+      let radius = sk.map(i, 0, numRings - 1,
+                       this.bandRadius(0.65),
+                       this.bandRadius(0.9));
+      if (p < 1) radius *= p; // 'p' controls the radius (Radius size)
+      
+      sk.strokeWeight(baseStrokeWeight * this.jitter(0.8, 1.2));
+      // Because we don't want a circle with fill, we pass 'null' for fillCol.
+      this.drawHandDrawnCircle(radius, null, col, null);
+    }
+  }
+});
+
+// Radial dash (sine wave “spring”)
+// Uses sin() to create a continuous wavy circumference
+// This pattern also relies on beginShape() + curveVertex() to render the wavy outer contour as a continuous organic loop.
+registerPattern({
+  name: 'radial-dash',
+  band: 'outer',
+  draw(col, p, sk) {
+    sk.noFill();
+    sk.stroke(col);
+    sk.strokeWeight(this.bandSize(0.025));
+    let baseRadius   = this.bandRadius(0.73);
+    let waveHeight   = this.bandSize(0.73) * 0.30;
+    // waveHeight is the amplitude: how far the wave goes "in" and "out" from the baseRadius.
+    let waveFrequency = 60;
+    // waveFrequency controls how many full oscillations (bounces) happen around the circle.
+    let totalPoints   = sk.floor(240 * p); // 'p' controls how much of the ring is drawn (Range/Length)
+    // totalPoints determines the smoothness (resolution) of the shape. More points = smoother.
+    // we use sin to create a wavy effect, it looks like a spring
+    sk.beginShape();
+    for (let j = 0; j <= totalPoints; j++) {
+      let angle  = (sk.TWO_PI / 240) * j;
+      let offset = sk.sin(angle * waveFrequency) * waveHeight;
+      let finalRadius = baseRadius + offset;
+      finalRadius += this.jitter(-this.bandSize(0.005), this.bandSize(0.005));
+      sk.curveVertex(sk.cos(angle) * finalRadius,
+                  sk.sin(angle) * finalRadius);
+    }
+    // Don't close if p < 1, let it be an open line
+    if (p < 1) {
+      sk.endShape();
+    } else {
+      sk.endShape(sk.CLOSE);
+    }
+  }
+});
@@ -0,0 +1,101 @@
+// =======================================================================
+// ========================= Pattern Registry ============================
+// =======================================================================
+//
+// Every pattern a Circle can draw is registered here under a name and the
+// band it belongs to (inner, middle or outer). A Circle picks one pattern
+// per band from whatever is registered, so a new pattern only needs its
+// own file with a registerPattern() call, loaded in index.html after this
+// file and before sketch.js. Nothing in the Circle class has to change.
+//
+//   registerPattern({
+//     name: 'zigzag',            // unique within its band
+//     band: 'outer',             // 'inner' | 'middle' | 'outer'
+//     weight: 2,                 // optional, relative chance of being picked (default 1)
+//     draw(col, p, sk) { ... }   // 'this' is the Circle, origin at its centre
+//   });
+//
+// draw() receives the band colour, the band's progress 'p' (0-1) and the
+// p5 instance 'sk' to draw with (sk.stroke(), sk.curveVertex(), ...), like
+// the built-in patterns in patterns/inner.js, middle.js and outer.js. The
+// registry is shared by every sketch on the page.
+//
+// A circle can have from 1 to 7 bands (?bands=), so a band is not always
+// where its family usually sits. Patterns are written for their family's
+// range in BAND_RANGES, as fractions of the circle radius, and go through
+// two Circle helpers to land in the band being drawn (this.band):
+//   this.bandRadius(0.65)  a radius, moved into the band
+//   this.bandSize(0.07)    a size, stroke weight or jitter, scaled with it
+// With the usual three bands both are simply this.r * the fraction.
+//
+const PATTERN_BANDS = ['inner', 'middle', 'outer'];
+
+// Family -> [from, to], the part of the radius its patterns are drawn for
+const BAND_RANGES = {
+  inner:  [0, 0.25],
+  middle: [0.2, 0.5],
+  outer:  [0.6, 0.95]
+};
+
+// band -> array of { name, band, weight, draw }, in registration order
+let patternRegistry = { inner: [], middle: [], outer: [] };
+
+// Add a pattern, or replace an existing one with the same band and name
+function registerPattern(pattern) {
+  if (!PATTERN_BANDS.includes(pattern.band)) {
+    throw new Error('registerPattern: unknown band "' + pattern.band + '" for pattern "' + pattern.name + '"');
+  }
+  if (typeof pattern.draw !== 'function') {
+    throw new Error('registerPattern: pattern "' + pattern.name + '" has no draw(col, p, sk) function');
+  }
+  let entry = {
+    name: pattern.name,
+    band: pattern.band,
+    weight: pattern.weight === undefined ? 1 : pattern.weight,
+    draw: pattern.draw
+  };
+  let list = patternRegistry[pattern.band];
+  let i = list.findIndex(existing => existing.name === pattern.name);
+  if (i === -1) {
+    list.push(entry);
+  } else {
+    list[i] = entry;
+  }
+}
+
+function getPattern(band, name) {
+  return patternRegistry[band].find(pattern => pattern.name === name);
+}
+
+function patternNames(band) {
+  return patternRegistry[band].map(pattern => pattern.name);
+}
+
+// Weighted random choice of a pattern name for a band. Uses one random()
+// call of sketch 'sk', so it follows the composition seed like everything else.
+function pickPattern(band, sk) {
+  let list = patternRegistry[band];
+  let total = list.reduce((sum, pattern) => sum + pattern.weight, 0);
+  let roll = sk.random(total);
+  for (let pattern of list) {
+    roll -= pattern.weight;
+    if (roll < 0) return pattern.name;
+  }
+  return list.length > 0 ? list[list.length - 1].name : null;
+}
+
+// Draw the named pattern for 'circle'. Unknown names (for example a
+// pattern file that was not loaded) draw nothing and warn once.
+let warnedPatterns = {};
+function drawPattern(sk, circle, band, name, col, p) {
+  let pattern = getPattern(band, name);
+  if (!pattern) {
+    let id = band + '/' + name;
+    if (!warnedPatterns[id]) {
+      console.warn('No ' + band + ' pattern registered as "' + name + '"');
+      warnedPatterns[id] = true;
+    }
+    return;
+  }
+  pattern.draw.call(circle, col, p, sk);
+}
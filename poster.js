@@ -0,0 +1,158 @@
+// =======================================================================
+// =========================== Poster Render =============================
+// =======================================================================
+//
+// Renders the frame on screen far beyond screen size (e.g. 8000 px for
+// an A1 poster) as a single PNG. A canvas that big would run out of
+// memory in most browsers, so the picture is drawn in tiles: the canvas
+// keeps its size, pixelDensity() is raised to the tile resolution, and
+// each redraw() zooms into one tile of the composition (applyPosterTile()).
+// Every line width, dot and pattern is scaled with the zoom, so the
+// poster looks exactly like the screen, only sharper.
+//
+// Tiles are copied out a row at a time and streamed through the browser's
+// CompressionStream into the PNG, so only one row of tiles is ever held
+// in memory.
+//
+// The poster controls are in the export panel ('E').
+//
+// References:
+// PNG format:        https://www.w3.org/TR/png/
+// CompressionStream: https://developer.mozilla.org/docs/Web/API/CompressionStream
+//
+const POSTER_TILE_SIZE = 2048; // Largest tile side (px)
+
+function installPoster(sk) {
+  sk.posterState = {
+    size: 8000,   // Long side of the poster (px)
+    tile: null,   // { n, i, j } while tile (i, j) of an n x n grid is drawn
+    frame: 0      // frameCount shared by all tiles, so the jitter matches
+  };
+
+  // Zoom into the current tile. Called in draw() before anything is drawn.
+  // The density is usually fractional, so the canvas has a whole number of
+  // device pixels a little short of width x density; each tile moves on by
+  // that real size (tileW, tileH) so the tiles meet without seams or drift.
+  sk.applyPosterTile = function () {
+    if (!sk.posterState.tile) return;
+    let { n, i, j, tileW, tileH, density } = sk.posterState.tile;
+    sk.scale(n);
+    sk.translate(-i * tileW / (density * n), -j * tileH / (density * n));
+  };
+
+  sk.renderPoster = async function (longSide = sk.posterState.size) {
+    if (sk.exportState.running) return;
+    if (typeof CompressionStream === 'undefined') {
+      sk.setExportStatus('this browser cannot compress a poster (no CompressionStream)');
+      return;
+    }
+    sk.exportState.running = true;
+
+    let wasPlaying = sk.transport.playing;
+    let savedTimeline = sk.transport.showTimeline;
+    let savedDensity = sk.pixelDensity();
+    sk.transport.playing = false;
+    sk.transport.showTimeline = false;
+    sk.noLoop();
+
+    // n x n tiles, each one canvas at density 'scale / n'
+    let scale = longSide / sk.max(sk.width, sk.height);
+    let n = sk.ceil(longSide / POSTER_TILE_SIZE);
+    sk.pixelDensity(scale / n);
+    sk.posterState.frame = sk.frameCount;
+    try {
+      let tileW = sk.drawingContext.canvas.width;
+      let tileH = sk.drawingContext.canvas.height;
+      let png = new PNGStreamWriter(tileW * n, tileH * n);
+      for (let j = 0; j < n; j++) {
+        let row = [];
+        for (let i = 0; i < n; i++) {
+          sk.posterState.tile = { n: n, i: i, j: j, tileW: tileW, tileH: tileH, density: sk.pixelDensity() };
+          sk.redraw();
+          row.push(sk.drawingContext.getImageData(0, 0, tileW, tileH).data);
+          sk.setExportStatus('tile ' + (j * n + i + 1) + ' / ' + n * n);
+          await nextTick();
+        }
+        // Join the row's tiles scanline by scanline
+        for (let y = 0; y < tileH; y++) {
+          let line = new Uint8Array(tileW * n * 4);
+          row.forEach((data, i) => line.set(data.subarray(y * tileW * 4, (y + 1) * tileW * 4), i * tileW * 4));
+          await png.writeLine(line);
+        }
+      }
+      sk.setExportStatus('compressing...');
+      let blob = await png.finish();
+      downloadBlob(blob, 'songlines-' + sk.currentSeed + '-poster-' + tileW * n + 'x' + tileH * n + '.png');
+      sk.setExportStatus('saved poster ' + tileW * n + ' x ' + tileH * n);
+    } catch (err) {
+      console.error(err);
+      sk.setExportStatus('poster failed: ' + err.message);
+    } finally {
+      sk.posterState.tile = null;
+      sk.pixelDensity(savedDensity);
+      sk.buildBackgroundLayer();
+      sk.transport.playing = wasPlaying;
+      sk.transport.showTimeline = savedTimeline;
+      sk.exportState.running = false;
+      sk.loop();
+    }
+  };
+}
+
+// -----------------------------------------------------------------------
+//                        Streaming PNG writer
+// -----------------------------------------------------------------------
+//
+// 8-bit RGBA PNG written one scanline at a time. The zlib stream from
+// CompressionStream('deflate') is what IDAT expects; each piece it hands
+// back becomes its own IDAT chunk, which PNG allows.
+//
+class PNGStreamWriter {
+  constructor(w, h) {
+    this.parts = [new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10])]; // PNG signature
+    let header = new DataView(new ArrayBuffer(13));
+    header.setUint32(0, w);
+    header.setUint32(4, h);
+    header.setUint8(8, 8);  // bit depth
+    header.setUint8(9, 6);  // colour type: RGBA
+    this.parts.push(...pngChunk('IHDR', new Uint8Array(header.buffer)));
+
+    let stream = new CompressionStream('deflate');
+    this.writer = stream.writable.getWriter();
+    // Read the compressed data while lines are still being written,
+    // otherwise the stream fills up and writing stalls
+    this.reading = (async () => {
+      let reader = stream.readable.getReader();
+      for (;;) {
+        let { done, value } = await reader.read();
+        if (done) break;
+        this.parts.push(...pngChunk('IDAT', value));
+      }
+    })();
+  }
+
+  // 'pixels' is one row of RGBA bytes
+  async writeLine(pixels) {
+    let line = new Uint8Array(pixels.length + 1); // Filter type 0 (none) first
+    line.set(pixels, 1);
+    await this.writer.ready;
+    this.writer.write(line);
+  }
+
+  async finish() {
+    await this.writer.close();
+    await this.reading;
+    this.parts.push(...pngChunk('IEND', new Uint8Array(0)));
+    return new Blob(this.parts, { type: 'image/png' });
+  }
+}
+
+// Length, type, data and CRC of one PNG chunk
+function pngChunk(type, data) {
+  let typeBytes = new TextEncoder().encode(type);
+  let length = new DataView(new ArrayBuffer(4));
+  length.setUint32(0, data.length);
+  let crc = new DataView(new ArrayBuffer(4));
+  crc.setUint32(0, crc32(data, crc32(typeBytes)));
+  return [new Uint8Array(length.buffer), typeBytes, data, new Uint8Array(crc.buffer)];
+}
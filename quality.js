@@ -0,0 +1,219 @@
+// =======================================================================
+// ===================== Level of Detail / Performance ===================
+// =======================================================================
+//
+// The dot patterns call drawIrregularBlob() hundreds of times per circle
+// per frame, which is too much for slower laptops. Detail comes in a few
+// levels, each setting:
+//   blobPoints     vertices of every irregular dot (drawIrregularBlob(),
+//                  songline dots)
+//   circlePoints   vertices of every drawHandDrawnCircle() outline
+//   dotSpacing     multiplier for the gaps in the dot patterns (fewer dots)
+//   background     share of the background texture's dots that is drawn
+//
+// A governor watches the frame rate and moves one level coarser when it
+// falls below the target, or one level finer when there is plenty of time
+// to spare, waiting a moment after each change so the picture does not
+// flicker between levels. ?quality=auto (the default) lets it decide,
+// ?quality=full / high / medium / low fixes a level, ?fps= sets the target
+// frame rate and 'Q' steps through the choices.
+//
+// Exports (loops, posters and SVG) are always drawn in full detail.
+//
+// 'H' (or ?hud=1) shows a small HUD with the frame rate, the frame time
+// and, for each layer of draw(), how many shapes it drew and how long it
+// took, so it is easy to see where the time goes.
+//
+// Reference: https://developer.mozilla.org/docs/Web/API/Performance/now
+//
+const QUALITY_LEVELS = [
+  { name: 'full',   blobPoints: 8, circlePoints: 50, dotSpacing: 1,    background: 1 },
+  { name: 'high',   blobPoints: 7, circlePoints: 40, dotSpacing: 1.15, background: 0.75 },
+  { name: 'medium', blobPoints: 6, circlePoints: 32, dotSpacing: 1.35, background: 0.5 },
+  { name: 'low',    blobPoints: 5, circlePoints: 24, dotSpacing: 1.6,  background: 0.3 }
+];
+const QUALITY_TARGET_FPS = 50;
+const GOVERNOR_INTERVAL = 1000;  // How often the governor looks at the frame rate (ms)
+const GOVERNOR_SETTLE = 3000;    // Wait after a change before changing again (ms)
+const HUD_INTERVAL = 250;        // How often the HUD text is refreshed (ms)
+
+// Drawing functions the HUD counts, one count per call
+const HUD_COUNTED_FUNCTIONS = ['ellipse', 'line', 'rect', 'arc', 'endShape', 'image', 'background'];
+
+function installQuality(sk) {
+  sk.quality = {
+    mode: 'auto',        // 'auto' or the name of a fixed level
+    level: 0,            // Index into QUALITY_LEVELS chosen by the governor or the mode
+    targetFPS: QUALITY_TARGET_FPS,
+    lastChange: 0,       // millis() of the governor's last change
+    window: { start: 0, frames: 0, work: 0 }, // Frames measured since the governor last looked
+    backgroundShare: null, // 'background' of the level the background layer was built with
+    // Per-frame measurements for the HUD
+    frameStart: 0,
+    layer: null,         // Layer of draw() running now
+    layerStart: 0,
+    calls: {},           // layer -> shapes drawn this frame
+    times: {},           // layer -> ms this frame
+    work: 0,             // ms spent in draw() last frame
+    hud: null,           // p5 DOM element, created when first shown
+    hudVisible: false,
+    hudUpdated: 0,
+    counting: false      // Drawing functions are wrapped for counting
+  };
+  // Detail used while drawing (see updateQuality())
+  sk.lod = QUALITY_LEVELS[0];
+
+  sk.initQuality = function () {
+    let params = sk.params();
+    let fixed = QUALITY_LEVELS.findIndex(level => level.name === params.quality);
+    sk.quality.mode = fixed === -1 ? 'auto' : params.quality;
+    if (fixed !== -1) sk.quality.level = fixed;
+    let fps = parseFloat(params.fps);
+    if (fps > 0) sk.quality.targetFPS = fps;
+    if (params.hud === '1' && !sk.quality.hudVisible) sk.toggleHUD();
+  };
+
+  // auto -> full -> high -> medium -> low -> auto
+  sk.cycleQuality = function () {
+    let modes = ['auto'].concat(QUALITY_LEVELS.map(level => level.name));
+    let mode = modes[(modes.indexOf(sk.quality.mode) + 1) % modes.length];
+    sk.quality.mode = mode;
+    if (mode !== 'auto') sk.quality.level = QUALITY_LEVELS.findIndex(level => level.name === mode);
+    sk.quality.lastChange = sk.millis();
+    sk.setURLParam('quality', mode === 'auto' ? null : mode);
+  };
+
+  // Run 'drawFn' in full detail (the SVG export records outside draw())
+  sk.withFullDetail = function (drawFn) {
+    let lod = sk.lod;
+    sk.lod = QUALITY_LEVELS[0];
+    try {
+      return drawFn();
+    } finally {
+      sk.lod = lod;
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                               Governor
+  // -----------------------------------------------------------------------
+
+  // Called at the top of draw(): pick this frame's detail
+  sk.updateQuality = function () {
+    let q = sk.quality;
+    let exporting = sk.exportState.running || sk.posterState.tile;
+    if (exporting) {
+      q.window.start = 0; // Measure afresh afterwards
+    } else if (q.mode === 'auto') {
+      sk.governQuality();
+    }
+    sk.lod = exporting ? QUALITY_LEVELS[0] : QUALITY_LEVELS[q.level];
+    // Most textures are baked into the background layer, so it is rebuilt
+    // when their share changes (poster tiles draw them as shapes instead)
+    if (sk.backgroundLayer && !sk.posterState.tile && q.backgroundShare !== sk.lod.background) {
+      sk.buildBackgroundLayer();
+    }
+  };
+
+  sk.governQuality = function () {
+    let q = sk.quality;
+    let w = q.window;
+    let now = sk.millis();
+    // A pause (stop(), a hidden tab, an export) is not a slow frame
+    if (w.start === 0 || sk.deltaTime > 500) {
+      q.window = { start: now, frames: 0, work: 0 };
+      return;
+    }
+    w.frames++;
+    w.work += q.work;
+    if (now - w.start < GOVERNOR_INTERVAL) return;
+    let fps = w.frames * 1000 / (now - w.start);
+    let work = w.work / w.frames;
+    q.window = { start: now, frames: 0, work: 0 };
+    if (now - q.lastChange < GOVERNOR_SETTLE) return;
+    let budget = 1000 / q.targetFPS;
+    let level = q.level;
+    if (fps < q.targetFPS * 0.9) {
+      level = sk.min(level + 1, QUALITY_LEVELS.length - 1);
+    } else if (fps >= q.targetFPS * 0.97 && work < budget * 0.5) {
+      // Only go finer with plenty of time to spare, so it doesn't bounce back
+      level = sk.max(level - 1, 0);
+    }
+    if (level !== q.level) {
+      q.level = level;
+      q.lastChange = now;
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                          Measuring and HUD
+  // -----------------------------------------------------------------------
+
+  // draw() calls this at the start of each layer, and with null at the end
+  // of the frame. It times the layers and, while the HUD is shown, counts
+  // the shapes each one draws.
+  sk.markLayer = function (name) {
+    let q = sk.quality;
+    let now = performance.now();
+    if (q.layer) {
+      q.times[q.layer] = now - q.layerStart;
+    } else {
+      q.frameStart = now;
+      q.calls = {};
+      q.times = {};
+    }
+    q.layer = name;
+    q.layerStart = now;
+    if (name) {
+      q.calls[name] = 0;
+    } else {
+      q.work = now - q.frameStart;
+      sk.updateHUD();
+    }
+  };
+
+  sk.toggleHUD = function () {
+    let q = sk.quality;
+    q.hudVisible = !q.hudVisible;
+    if (!q.hud) {
+      q.hud = sk.createDiv('');
+      q.hud.class('quality-hud');
+      sk.countDrawCalls();
+    }
+    if (q.hudVisible) {
+      q.hud.show();
+    } else {
+      q.hud.hide();
+    }
+    sk.setURLParam('hud', q.hudVisible ? 1 : null);
+  };
+
+  // Wrap the drawing functions so each call adds one to the current layer.
+  // Done once, when the HUD is first shown.
+  sk.countDrawCalls = function () {
+    let q = sk.quality;
+    if (q.counting) return;
+    q.counting = true;
+    for (let name of HUD_COUNTED_FUNCTIONS) {
+      let original = sk[name];
+      sk[name] = function (...args) {
+        if (q.layer) q.calls[q.layer]++;
+        return original.apply(sk, args);
+      };
+    }
+  };
+
+  sk.updateHUD = function () {
+    let q = sk.quality;
+    if (!q.hudVisible || sk.millis() - q.hudUpdated < HUD_INTERVAL) return;
+    q.hudUpdated = sk.millis();
+    let lines = [
+      sk.nf(sk.frameRate(), 1, 1) + ' fps · ' + sk.nf(q.work, 1, 1) + ' ms · ' +
+        sk.lod.name + (q.mode === 'auto' ? ' (auto, target ' + q.targetFPS + ' fps)' : '')
+    ];
+    for (let layer of Object.keys(q.times)) {
+      lines.push(layer + ': ' + q.calls[layer] + ' shapes, ' + sk.nf(q.times[layer], 1, 1) + ' ms');
+    }
+    q.hud.html(lines.join('<br>'));
+  };
+}
@@ -0,0 +1,216 @@
+// =======================================================================
+// ========================== Scene Save / Load ==========================
+// =======================================================================
+//
+// A composition normally only exists in memory: setup() rebuilds circles
+// and networkLines from scratch. A scene file captures everything needed
+// to rebuild exactly the same artwork:
+//   - every circle: position and radius relative to the canvas, its bands
+//     (family, radius range, pattern name, palette slot, duration), the
+//     core's palette slot, jitter seed, node membership
+//   - the network edges (as circle indices) and the growth settings
+//   - the palette (its name and full definition), seed, songline style
+//     choreography, background texture and keyframe timeline
+//   - the timing globals: globalLoopDuration, lineDelay, lineGrowDuration
+//
+// Save from the export panel ('E'). Load by dropping a .json file onto
+// the canvas, or with ?scene=<file.json> when the page is served from a
+// local web server. A loaded scene stays active through windowResized(),
+// so it scales with the canvas like a generated layout does.
+//
+const SCENE_VERSION = 2; // 2: circles record their bands (1: always three, see classicBands())
+
+function installScene(sk) {
+  // The loaded scene, or null when the layout comes from a layout strategy
+  sk.activeScene = null;
+
+  // Drop target on the canvas and the optional ?scene= file
+  // Reference: https://p5js.org/reference/p5.Element/drop/
+  sk.initSceneLoading = function (canvas) {
+    canvas.drop(file => {
+      if (file.subtype !== 'json') {
+        console.warn('Drop a scene .json file to load it (got ' + file.name + ')');
+        return;
+      }
+      sk.loadScene(file.data);
+    });
+    let params = sk.params();
+    if (params.scene) {
+      let url = decodeURIComponent(params.scene);
+      sk.loadJSON(url, sk.loadScene, err => console.warn('Could not load scene from ' + url, err));
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                               Saving
+  // -----------------------------------------------------------------------
+  sk.serializeScene = function () {
+    let circleData = sk.circles.map(c => ({
+      x: c.x / sk.width,
+      y: c.y / sk.height,
+      r: c.r / sk.canvasUnit(),
+      bands: c.bands.map(band => Object.assign({}, band)),
+      colors: { innerBase: c.innerBaseSlot },
+      jitterSeed: c.jitterSeed,
+      node: sk.connectedNodes.includes(c),
+      id: c.lineageId // Evolution mode's name for the circle (evolution.js), if it has one
+    }));
+    return {
+      version: SCENE_VERSION,
+      seed: sk.currentSeed,
+      timing: { globalLoopDuration: sk.globalLoopDuration, lineDelay: sk.lineDelay, lineGrowDuration: sk.lineGrowDuration },
+      palette: { name: sk.paletteState.name, definition: sk.palettes[sk.paletteState.name] },
+      network: Object.assign({}, sk.networkSettings),
+      songlines: Object.assign({}, sk.songlineSettings),
+      choreography: Object.assign({}, sk.choreographySettings),
+      background: Object.assign({}, sk.backgroundSettings),
+      timeline: { name: sk.timelineState.name, phases: sk.timelineState.phases },
+      circles: circleData,
+      // Lines in growth direction, as [from, to] indices into 'circles'
+      edges: sk.networkLines.map(L => [sk.circles.indexOf(L.from), sk.circles.indexOf(L.to)])
+    };
+  };
+
+  sk.saveScene = function () {
+    let json = JSON.stringify(sk.serializeScene(), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'songlines-' + sk.currentSeed + '.scene.json');
+  };
+
+  // -----------------------------------------------------------------------
+  //                               Loading
+  // -----------------------------------------------------------------------
+  // Everything is checked before anything changes, so a broken file leaves
+  // the current composition as it was
+  sk.loadScene = function (scene) {
+    let problem = sk.sceneProblem(scene);
+    if (problem) {
+      console.warn('Not a usable scene file: ' + problem + ' (the current scene is kept)');
+      return;
+    }
+    sk.currentSeed = scene.seed;
+    sk.setURLParam('seed', sk.currentSeed);
+    sk.updateSeedPanel();
+
+    sk.globalLoopDuration = scene.timing.globalLoopDuration;
+    sk.lineDelay = scene.timing.lineDelay;
+    sk.lineGrowDuration = scene.timing.lineGrowDuration;
+
+    // The scene carries its palette, so it loads even if the palette is not
+    // in this copy of the library
+    sk.palettes[scene.palette.name] = scene.palette.definition;
+    sk.setPalette(scene.palette.name, false);
+
+    Object.assign(sk.networkSettings, scene.network);
+    Object.assign(sk.songlineSettings, scene.songlines);
+    // Scenes saved before choreographies existed play in unison
+    Object.assign(sk.choreographySettings, scene.choreography || { mode: 'unison' });
+    // ... and on the original star field
+    sk.backgroundSettings = Object.assign({ mode: 'stars', density: null, color: null }, scene.background);
+    // Like the palette, the timeline travels with the scene
+    if (scene.timeline) {
+      sk.timelines[scene.timeline.name] = scene.timeline.phases;
+      sk.setTimeline(scene.timeline.name);
+    }
+
+    sk.activeScene = scene;
+    sk.createFixedLayout();
+    sk.prepareNetworkLines();
+    sk.buildBackgroundLayer();
+  };
+
+  // Why 'scene' can't be loaded, or null when it can
+  sk.sceneProblem = function (scene) {
+    let finite = Number.isFinite;
+    let isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(scene) || (scene.version !== 1 && scene.version !== SCENE_VERSION)) {
+      return 'expected version 1 or ' + SCENE_VERSION;
+    }
+    if (!finite(scene.seed)) return 'no seed';
+    let timing = scene.timing;
+    if (!isObject(timing) || !(timing.globalLoopDuration > 0) || !finite(timing.lineDelay) || !finite(timing.lineGrowDuration)) {
+      return 'no timing';
+    }
+    if (!isObject(scene.palette) || typeof scene.palette.name !== 'string') return 'no palette';
+    let paletteIssue = paletteProblem(scene.palette.definition);
+    if (paletteIssue) return 'palette: ' + paletteIssue;
+    // Optional settings must at least name things this copy knows
+    for (let key of ['network', 'songlines', 'choreography', 'background']) {
+      if (scene[key] !== undefined && !isObject(scene[key])) return 'bad ' + key + ' settings';
+    }
+    if (scene.network && !sk.networkTopologies[scene.network.topology]) return 'unknown topology';
+    if (scene.songlines && !SONGLINE_SHAPES.includes(scene.songlines.shape)) return 'unknown songline shape';
+    if (scene.choreography && !sk.choreographies[scene.choreography.mode]) return 'unknown choreography';
+    if (scene.background && !sk.backgroundModes[scene.background.mode]) return 'unknown background texture';
+    if (scene.timeline !== undefined) {
+      let timeline = scene.timeline;
+      if (!isObject(timeline) || typeof timeline.name !== 'string' || !Array.isArray(timeline.phases) ||
+          timeline.phases.length === 0 || !timeline.phases.every(phase => isObject(phase) && phase.duration > 0)) {
+        return 'bad timeline';
+      }
+    }
+    if (!Array.isArray(scene.circles)) return 'no circles';
+    for (let data of scene.circles) {
+      if (!isObject(data) || !finite(data.x) || !finite(data.y) || !(data.r > 0) || !finite(data.jitterSeed)) return 'bad circle';
+      if (!isObject(data.colors) || !finite(data.colors.innerBase)) return 'bad circle colours';
+      // Patterns are drawn by name, so each must be registered for its band
+      if (scene.version === 1) {
+        if (!isObject(data.patterns) || !isObject(data.durations) ||
+            !PATTERN_BANDS.every(band => finite(data.colors[band]) && data.durations[band] > 0)) {
+          return 'bad circle bands';
+        }
+        let unknown = PATTERN_BANDS.find(band => !getPattern(band, data.patterns[band]));
+        if (unknown) return 'unknown ' + unknown + ' pattern "' + data.patterns[unknown] + '"';
+      } else {
+        let bandOK = band => isObject(band) && PATTERN_BANDS.includes(band.family) &&
+          finite(band.from) && finite(band.to) && finite(band.colSlot) && band.duration > 0;
+        if (!Array.isArray(data.bands) || data.bands.length === 0 || !data.bands.every(bandOK)) return 'bad circle bands';
+        let unknown = data.bands.find(band => !getPattern(band.family, band.pattern));
+        if (unknown) return 'unknown ' + unknown.family + ' pattern "' + unknown.pattern + '"';
+      }
+    }
+    if (scene.edges !== undefined && scene.edges !== null) {
+      let index = i => Number.isInteger(i) && i >= 0 && i < scene.circles.length;
+      if (!Array.isArray(scene.edges) || !scene.edges.every(e => Array.isArray(e) && index(e[0]) && index(e[1]))) {
+        return 'bad edges';
+      }
+    }
+    return null;
+  };
+
+  // Called by createFixedLayout() while a scene is active
+  sk.buildCirclesFromScene = function (scene) {
+    for (let data of scene.circles) {
+      let c = new sk.Circle(data.x * sk.width, data.y * sk.height, data.r * sk.canvasUnit());
+      c.bands = scene.version === 1 ? sk.classicBands(data) : data.bands.map(band => Object.assign({}, band));
+      c.innerBaseSlot = data.colors.innerBase;
+      c.jitterSeed = data.jitterSeed;
+      c.buildJitterTables();
+      if (data.id !== undefined) c.lineageId = data.id;
+      sk.circles.push(c);
+      if (data.node) sk.connectedNodes.push(c);
+    }
+  };
+
+  // Version 1 scenes, saved before circles had a number of bands, keep the
+  // usual three under 'patterns', 'colors' and 'durations'
+  sk.classicBands = function (data) {
+    return bandLayout(3).map(band => Object.assign(band, {
+      pattern: data.patterns[band.family],
+      colSlot: data.colors[band.family],
+      duration: data.durations[band.family]
+    }));
+  };
+
+  // The scene's edges as index pairs into connectedNodes, or null when the
+  // network should be rebuilt from the topology instead
+  sk.sceneNetworkEdges = function (scene) {
+    if (!scene || !scene.edges) return null;
+    let edges = [];
+    for (let [from, to] of scene.edges) {
+      let i = sk.connectedNodes.indexOf(sk.circles[from]);
+      let j = sk.connectedNodes.indexOf(sk.circles[to]);
+      if (i !== -1 && j !== -1) edges.push([i, j]);
+    }
+    return edges;
+  };
+}
@@ -1,5 +1,5 @@
 // =======================================================================
-// ======================== Global Variables =============================
+// =========================== Sketch State ==============================
 // =======================================================================
 //
 // This section defines all shared state used across the sketch, including
@@ -8,671 +8,1024 @@
 // as connection nodes. These variables are initialised in setup() and then
 // read by the drawing functions in draw(), layout, and the Circle class.
 //
-
-let globalBgColor;       // Background colour
-let circleBasePalette;   // Base colours for the circles (Deep Earth tones)
-let patternPalette;          // Colours for patterns/details (High contrast/Bright)
-let circles;        // Stores all circle objects, although this step is not neccessary, 
-// it is useful for individual assignments as we may operate on individual circles.
-let connectedNodes; // Stores the circles selected as connection nodes (key "VIP" nodes)
-// --- NEW for Animation ---
-// Total duration for one full loop (expand and contract) in milliseconds
-let globalLoopDuration = 15000; // 15 seconds
-
-// -----------------------------------------------------------------------
-//                    Network line animation state
-// -----------------------------------------------------------------------
+// The sketch runs in p5's instance mode (see songline-sketch.js), so this
+// state lives on the p5 instance 'sk' rather than in globals, and each
+// sketch on a page has its own. Every module adds its part of the sketch
+// in an install...(sk) function; constants and pure helpers stay global.
 //
-// To animate the connecting “songlines” between circles, we pre-compute
-// all valid line segments and then reveal them over time using lerp().
-// Each line has a staggered start time, so the network appears to grow
-// progressively rather than all at once.
+// Reference: https://github.com/processing/p5.js/wiki/Global-and-instance-mode
 //
-let networkLines = [];      // Stores all eligible line segments
-let lineDelay = 150;        // Delay between each line starting (ms)
-let lineGrowDuration = 800;  // How long each line takes to grow (ms)
 
-// =======================================================================
-//                              WINDOW RESIZE
-// =======================================================================
-//
-// p5.js automatically calls windowResized() when the canvas size should
-// respond to a change of browser window dimensions. We keep the canvas
-// square by taking the minimum of width/height, then recompute layout and
-// pre-calculate all network line segments.
-//
-// Reference: https://p5js.org/reference/p5/resizeCanvas/
-//
-function windowResized() {
-  let size = min(windowWidth, windowHeight);
-  resizeCanvas(size, size);
-  // Re-calculate layout and animation data for the new size
-  createFixedLayout();
-  prepareNetworkLines();
-}
+function installSketch(sk) {
+  sk.globalBgColor = null;      // Background colour (follows palette cross-fades)
+  sk.circleBasePalette = null;  // Base colours for the circles (Deep Earth tones)
+  sk.patternPalette = null;     // Colours for patterns/details (High contrast/Bright)
+  sk.circles = null;            // Stores all circle objects, although this step is not neccessary, 
+  // it is useful for individual assignments as we may operate on individual circles.
+  sk.connectedNodes = null; // Stores the circles selected as connection nodes (key "VIP" nodes)
+  // --- NEW for Animation ---
+  // Total duration for one full loop (expand and contract) in milliseconds
+  sk.globalLoopDuration = 15000; // 15 seconds
 
-// =======================================================================
-//                      Layout & Background Setup
-// =======================================================================
-//
-// This section is responsible for the overall composition of the artwork.
-// It generates the fixed layout of circle centres, selects some of them as
-// “VIP” nodes for the network layer, prepares animated line segments, and
-// draws the random dot background texture that sits underneath all circles.
-//
-// -----------------------------------------------------------------------
-//                         Layout Generation
-// -----------------------------------------------------------------------
-function createFixedLayout() {
-  circles = []; //initialise
-  connectedNodes = [];
-  // Base radius unit relative to canvas width
-  let r = width / 8;
-  // Add circles along specific diagonal coordinates
-  // Parameters: count, startX, startY, stepX, stepY, radius
-  addCirclesOnLine(5, width / 7.1, height / 7.1,  width / 4.8, height / 4.8, r);
-  addCirclesOnLine(5, width / 2,   (height * 2) / 20, width / 4.8, height / 4.8, r);
-  addCirclesOnLine(5, (width * 4) / 5, 0,          width / 4.8, height / 4.8, r);
-  addCirclesOnLine(5, width / 20,  height / 2.2,   width / 4.8, height / 4.8, r);
-  addCirclesOnLine(5, 0,           (height * 8) / 10, width / 4.8, height / 4.8, r);
-}
-function addCirclesOnLine(count, startX, startY, stepX, stepY, r) {
-  for (let i = 0; i < count; i++) {
-    let x = startX + stepX * i;
-    let y = startY + stepY * i;
-    let c = new Circle(x, y, r);
-    circles.push(c);
-    // Randomly select 70% of circles to be "nodes" for connections
-    if (random(1) < 0.7) {
-      connectedNodes.push(c);
+  // -----------------------------------------------------------------------
+  //                    Network line animation state
+  // -----------------------------------------------------------------------
+  //
+  // To animate the connecting “songlines” between circles, we pre-compute
+  // all valid line segments and then reveal them over time using lerp().
+  // Each line has a staggered start time, so the network appears to grow
+  // progressively rather than all at once. Which nodes are joined and in
+  // which order the lines grow is decided in network.js.
+  //
+  sk.networkLines = [];      // Stores all eligible line segments
+  sk.networkDuration = 0;    // When the last line finishes growing (ms of network time)
+  sk.lineDelay = 150;        // Delay between each line starting (ms)
+  sk.lineGrowDuration = 800;  // How long each line takes to grow (ms)
+  sk.nodeChance = 0.7;       // Share of circles picked as network nodes
+
+  // Starting values for every new Circle. Like the timings above, they can
+  // be changed live in the tuning panel (tuning.js).
+  sk.circleDefaults = {
+    bands: 3,             // 1-7 concentric bands, or 'auto' for more on bigger circles
+    innerDuration: 800,   // ms for each band of the inner (core) family
+    middleDuration: 1200, // ms for each middle band
+    outerDuration: 1500,  // ms for each outer band
+    irregularity: 0.02    // amount of jitter for hand-drawn feel
+  };
+
+  // -----------------------------------------------------------------------
+  //                     Seeded randomness (reproducibility)
+  // -----------------------------------------------------------------------
+  //
+  // Every random() call in the sketch reads from p5's seeded generator, so a
+  // single number is enough to rebuild the same composition: layout, node
+  // selection, palettes and pattern types. The seed comes from the ?seed=
+  // URL parameter, or is picked at random and written back into the URL so
+  // the address bar can always be shared.
+  //
+  // Reference: https://p5js.org/reference/p5/randomSeed/
+  //
+  sk.currentSeed = null;     // Seed for the current composition
+  sk.seedPanel = null;       // On-screen seed label + buttons (p5 DOM elements)
+  sk.seedLabel = null;       // The "seed ..." text inside seedPanel
+
+  // -----------------------------------------------------------------------
+  //                          Geometry cache
+  // -----------------------------------------------------------------------
+  //
+  // The background dots never change, so they are drawn once into an
+  // offscreen layer and stamped onto the canvas every frame. Each Circle
+  // keeps its own tables of pre-rolled jitter values, so hand-drawn outlines
+  // keep their shape while 'p' animates instead of "boiling" every frame.
+  // Boil mode brings the old per-frame shimmer back (key 'B' or ?boil=1).
+  //
+  sk.boilMode = false;       // true = re-roll outline jitter every frame
+  sk.transparent = false;    // true = no background colour (?background=transparent)
+
+  // Read the seed from the URL (or pick a new one) and keep the URL in sync.
+  sk.initSeed = function () {
+    let params = sk.params();
+    let parsed = parseInt(params.seed, 10);
+    // Math.random() is used on purpose here: random() is not seeded yet.
+    sk.currentSeed = Number.isFinite(parsed) ? parsed : sk.floor(Math.random() * 1000000000);
+    sk.setURLParam('seed', sk.currentSeed);
+  };
+
+  // Settings for this sketch as strings, like getURLParams() returns them:
+  // the options given to createSonglineSketch(), overridden by the tuning
+  // panel's saved settings and then the URL's parameters when the sketch
+  // owns the page (options.url).
+  sk.params = function () {
+    let params = {};
+    for (let name of Object.keys(sk.options)) {
+      let value = sk.options[name];
+      if (value !== null && typeof value !== 'object') params[name] = String(value);
     }
-  }
-}
+    if (!sk.options.url) return params;
+    let stored = sk.storedTuning();
+    for (let name of Object.keys(stored)) params[name] = String(stored[name]);
+    return Object.assign(params, sk.getURLParams());
+  };
 
-// -----------------------------------------------------------------------
-//                      Prepare animated connecting lines
-// -----------------------------------------------------------------------
-//
-// Instead of computing line segments each frame, we pre-generate a list
-// of valid lines between nodes that are within a certain distance. This
-// runs once in setup() and after windowResized().
-//
-// Reference for dist(): https://p5js.org/reference/p5/dist/
-//
-function prepareNetworkLines() {
-  networkLines = [];
-  for (let i = 0; i < connectedNodes.length; i++) {
-    for (let j = i + 1; j < connectedNodes.length; j++) {
-      let c1 = connectedNodes[i];
-      let c2 = connectedNodes[j];
-      // Compute Euclidean distance between two circle centres.
-      // dist() is from the p5.js reference: https://p5js.org/reference/p5/dist/
-      let d = dist(c1.x, c1.y, c2.x, c2.y); // Calculate distance between two nodes
-      // Only connect nodes that are within a certain distance
-      // so that circles next to each other are connected
-      if (d < width / 2.8) {
-        networkLines.push({
-          x1: c1.x,
-          y1: c1.y,
-          x2: c2.x,
-          y2: c2.y
-        });
+  // Set (or, with null, remove) one URL parameter without reloading the page,
+  // so the address bar always describes what is on screen. Embedded sketches
+  // leave the page's URL alone.
+  sk.setURLParam = function (name, value) {
+    if (!sk.options.url) return;
+    let url = new URL(window.location.href);
+    if (value === null) {
+      url.searchParams.delete(name);
+    } else {
+      url.searchParams.set(name, value);
+    }
+    history.replaceState(null, '', url.toString());
+  };
+
+  // Build a shareable URL for the given seed, keeping any other parameters.
+  sk.seedURL = function (seed) {
+    let url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    return url.toString();
+  };
+
+  // Re-seed random() and noise() for the composition itself.
+  // Called before the layout is built so resizing rebuilds the same piece.
+  sk.seedComposition = function () {
+    sk.randomSeed(sk.currentSeed);
+    sk.noiseSeed(sk.currentSeed);
+  };
+
+  // Re-seed random() for one frame of jitter. Mixing the frame number into
+  // the seed (instead of adding it) avoids neighbouring frames starting from
+  // almost the same value in p5's linear congruential generator.
+  sk.seedFrame = function (frame) {
+    sk.randomSeed(mixSeed(sk.currentSeed, frame));
+  };
+
+  // Show the current seed in the corner with buttons to copy a share link
+  // or jump to a fresh composition.
+  // Reference: https://p5js.org/reference/p5/createDiv/
+  sk.createSeedPanel = function () {
+    sk.seedPanel = sk.createDiv();
+    sk.seedPanel.class('seed-panel');
+    sk.seedLabel = sk.createSpan('seed ' + sk.currentSeed);
+    sk.seedLabel.parent(sk.seedPanel);
+    let copyButton = sk.createButton('copy link');
+    copyButton.parent(sk.seedPanel);
+    copyButton.mousePressed(() => {
+      navigator.clipboard.writeText(sk.seedURL(sk.currentSeed)).then(
+        () => copyButton.html('copied!'),
+        () => copyButton.html('copy failed')
+      );
+      setTimeout(() => copyButton.html('copy link'), 1500);
+    });
+    let newButton = sk.createButton('new seed');
+    newButton.parent(sk.seedPanel);
+    newButton.mousePressed(() => {
+      let seed = sk.floor(Math.random() * 1000000000);
+      if (sk.options.url) {
+        window.location.href = sk.seedURL(seed);
+      } else {
+        sk.useSeed(seed);
       }
+    });
+  };
+
+  // Rebuild the composition from another seed without reloading the page
+  // 'writeURL' false leaves ?seed= alone (installation.js keeps its base seed there)
+  sk.useSeed = function (seed, writeURL = true) {
+    sk.currentSeed = seed;
+    if (writeURL) sk.setURLParam('seed', seed);
+    sk.updateSeedPanel();
+    sk.activeScene = null;
+    sk.createFixedLayout();
+    sk.prepareNetworkLines();
+    sk.buildBackgroundLayer();
+  };
+
+  // Refresh the label after the seed changes (e.g. a scene was loaded)
+  // or a new generation is born in evolution mode (evolution.js)
+  sk.updateSeedPanel = function () {
+    let label = 'seed ' + sk.currentSeed;
+    if (sk.evolution.active) label += ' · generation ' + sk.evolution.generation;
+    sk.seedLabel.html(label);
+  };
+
+  // =======================================================================
+  //                              WINDOW RESIZE
+  // =======================================================================
+  //
+  // p5.js automatically calls windowResized() when the canvas size should
+  // respond to a change of browser window dimensions. The canvas fills the
+  // window (or the largest area of a fixed ?aspect= ratio that fits), then
+  // we recompute layout and pre-calculate all network line segments.
+  // A sketch embedded in a page element fills that element instead, and
+  // createSonglineSketch() calls windowResized() when the element resizes.
+  //
+  // Reference: https://p5js.org/reference/p5/resizeCanvas/
+  //
+  sk.windowResized = function () {
+    let size = sk.canvasSize();
+    // Embedded sketches hear about both window and element resizes
+    if (size.w === sk.width && size.h === sk.height) return;
+    sk.resizeCanvas(size.w, size.h);
+    // Re-calculate layout and animation data for the new size
+    sk.createFixedLayout();
+    sk.prepareNetworkLines();
+    // The dot texture is only rebuilt when the canvas size changes
+    sk.buildBackgroundLayer();
+  };
+
+  // Canvas size for the window (or the sketch's element). ?aspect=16:9
+  // (or 1:1, 9:16, 32:9, ...) keeps a fixed ratio; without it the canvas
+  // fills the whole area.
+  sk.canvasSize = function () {
+    let area = sk.availableArea();
+    let aspect = (sk.params().aspect || '').split(':').map(sk.float);
+    if (aspect.length !== 2 || !(aspect[0] > 0 && aspect[1] > 0)) {
+      return area;
     }
-  }
-}
+    let ratio = aspect[0] / aspect[1];
+    let w = sk.min(area.w, area.h * ratio);
+    return { w: sk.floor(w), h: sk.floor(w / ratio) };
+  };
 
-// -----------------------------------------------------------------------
-//                         Animated connecting lines
-// -----------------------------------------------------------------------
-//
-// This function is called every frame in draw(). It receives the masterP
-// (0-1-0 loop) and calculates a "virtual" time to draw each line.
-//
-// References:
-// lerp():  https://p5js.org/reference/p5/lerp/
-//
-function drawNetworkLines(masterP) { 
-  let linkColor = color(240, 230, 200, 180); // Creamy colour, semi-transparent
-  // Use push/pop to isolate style settings for lines
-  push();
-  stroke(linkColor);
-  strokeWeight(10); // Fixed wide width
-  
-  // Calculate a "virtual" time based on masterP instead of millis()
-  // This makes the animation reversible.
-  let totalNetworkTime = (networkLines.length - 1) * lineDelay + lineGrowDuration;
-  let now = masterP * totalNetworkTime; // 'now' will go 0 -> total -> 0
-  for (let i = 0; i < networkLines.length; i++) {
-    let L = networkLines[i];
-    // Each line starts a bit later for a staggered effect
-    let startT = i * lineDelay;
-    let p = (now - startT) / lineGrowDuration;
-    p = constrain(p, 0, 1);
-    if (p > 0) {
-      // Line grows from start to end using lerp()
-      let x = lerp(L.x1, L.x2, p);
-      let y = lerp(L.y1, L.y2, p);
-      line(L.x1, L.y1, x, y);
+  // The page's own sketch fills the window; an embedded one its element
+  sk.availableArea = function () {
+    if (sk.container === document.body) return { w: sk.windowWidth, h: sk.windowHeight };
+    return { w: sk.container.clientWidth, h: sk.container.clientHeight };
+  };
+
+  // Sizes scale with the shorter side of the canvas, so circles, lines and
+  // dots keep their proportions on wide, tall and square canvases alike.
+  sk.canvasUnit = function () {
+    return sk.min(sk.width, sk.height);
+  };
+  sk.scaled = function (px) {
+    return px * sk.canvasUnit() / REFERENCE_SIZE;
+  };
+
+  // =======================================================================
+  //                      Layout & Background Setup
+  // =======================================================================
+  //
+  // This section is responsible for the overall composition of the artwork.
+  // It generates the fixed layout of circle centres, selects some of them as
+  // “VIP” nodes for the network layer, prepares animated line segments, and
+  // draws the random dot background texture that sits underneath all circles.
+  //
+  // -----------------------------------------------------------------------
+  //                         Layout Generation
+  // -----------------------------------------------------------------------
+  //
+  // The positions and radii come from the selected layout strategy in
+  // layouts.js (the original diagonal layout by default), or from a loaded
+  // scene file (scene.js).
+  //
+  sk.createFixedLayout = function () {
+    sk.circles = []; //initialise
+    sk.connectedNodes = [];
+    if (sk.activeScene) {
+      sk.buildCirclesFromScene(sk.activeScene);
+      return;
     }
-  }
-  pop();
-}
+    // Same seed -> same pattern types, colours and node selection
+    sk.seedComposition();
+    for (let placement of sk.generateLayout()) {
+      sk.addCircle(placement.x, placement.y, placement.r);
+    }
+  };
+  // How many bands a new circle of radius 'r' gets: circleDefaults.bands,
+  // or with 'auto' one more for every 0.025 of the canvas (so the largest
+  // circles carry the most rings)
+  sk.bandCount = function (r) {
+    let bands = sk.circleDefaults.bands;
+    if (bands === 'auto') bands = sk.round(r / sk.canvasUnit() * 40);
+    return sk.constrain(bands, 1, MAX_BANDS);
+  };
 
-// -----------------------------------------------------------------------
-//                 Background texture: scattered white dots
-// -----------------------------------------------------------------------
-/*
-    This background texture uses probabilistic dot density to distribute thousands of 
-    semi-transparent white dots across the canvas. 
-*/
-function drawBackgroundDots() {
-  push();
-  noStroke();
-  let density = 0.004;                  // Controls how many dots per pixel area.
-  let numDots = floor(width * height * density); // Calculate the total number of dots based on canvas area and desired density.
-  for (let i = 0; i < numDots; i++) {
-    let x = random(width); // Random x position within canvas
-    let y = random(height); // Random y position within canvas
-    let dotSize = random(width * 0.002, width * 0.005); // Set dot size relative to canvas width for responsiveness.
-    let alpha   = random(100, 200); // We want the dots have different opacity, so they look like shining stars!
-    fill(255, 255, 255, alpha);        // Pure white dots with varied opacity
-    ellipse(x, y, dotSize);
-  }
-  pop();
-}
+  // ?bands= sets the number of bands for new circles: 1-7, or 'auto'
+  sk.initBandCount = function () {
+    let bands = sk.params().bands;
+    let n = parseInt(bands, 10);
+    if (bands === 'auto') {
+      sk.circleDefaults.bands = 'auto';
+    } else if (n >= 1 && n <= MAX_BANDS) {
+      sk.circleDefaults.bands = n;
+    }
+  };
 
-// ======================================================================
-// ========================= CIRCLE CLASS ===============================
-// ======================================================================
-//
-// The Circle class encapsulates all logic for drawing a single circular
-// motif. Each Circle instance stores its position, radius, randomly chosen
-// pattern types for three layers (inner, middle, outer), and timing values
-// that control the staged animation.
-//
-// The class provides:
-// - display(): orchestrates time-based animation of inner → middle → outer
-// - a set of helper methods to draw blobs, hand-drawn circles
-//   and patterned rings using beginShape() + curveVertex().
-//
-class Circle {
-  /*
-    Each Circle object randomly selects pattern types for its outer, middle,
-    and inner layers. This modular structure expands on OOP techniques,
-    enabling controlled variation through generative rules.
-  */
-  constructor(x, y, r) {
-    this.x = x;
-    this.y = y;
-    this.r = r;
-    // Randomly assign pattern types (once at creation)
-    this.outerPatternType  = floor(random(4));
-    this.middlePatternType = floor(random(4));
-    this.innerPatternType  = floor(random(2));
-    this.irregularity = 0.02; // amount of jitter for hand-drawn feel
-    // --- Time-based animation control ---
-    this.innerDuration  = 800;   // ms
-    this.middleDuration = 1200;  // ms
-    this.outerDuration  = 1500;  // ms
-    
-    // Total duration for this circle's animation cascade
-    this.totalDuration = this.innerDuration + this.middleDuration + this.outerDuration;
-    // Stable colours per circle (sampled once, reused every frame for animation)
-    this.innerBaseColor = random(circleBasePalette);
-    this.innerCol       = random(patternPalette);
-    this.middleCol      = random(patternPalette);
-    this.outerCol       = random(patternPalette);
-  }
-  // -------------------------------------------------------------------
-  //                         Main Display Method
-  // -------------------------------------------------------------------
-  //
-  // Uses push/pop/translate to simplify drawing coordinates (relative to center 0,0)
-  // Now driven by masterP. The logic calculates the progress of all 
-  // three layers based on a "virtual time" derived from masterP.
-  // 'p' (progress) is a "normalized" value between 0 and 1.
-  // It will drive animations at all levels.
-  //
-  display(masterP) { 
-    push();
-    
-    // 1. Move origin to the circle's center
-    translate(this.x, this.y);
-    // 2. Draw Buffer Circle (Mask)
-    // Cleans up the background and network lines behind the circle
-    this.drawHandDrawnCircle(this.r * 1.05, globalBgColor, null, 0);
-    // 3. --- NEW LOGIC for Animation ---
-    // Calculate a "virtual" time 't' for this circle based on masterP
-    // 't' will go from 0 -> totalDuration and back to 0.
-    let t = masterP * this.totalDuration;
-    // Calculate progress (0-1) for all three layers based on 't'.
-    // The constrain() function is key. As 't' decreases (during rewind), pOuter
-    // will go from 1 to 0 first, then pMiddle, then pInner.
-    
-    // Detailed description:
-    // When t increases from 0 to innerDuration (for example, 800ms), pInner will gradually change from 0 to 1
-    let pInner = constrain(t / this.innerDuration, 0, 1);
-    
-    // Only when t > innerDuration does pMiddle start changing from 0 to 1
-    let pMiddle = constrain(
-      (t - this.innerDuration) / this.middleDuration,
-      0, 1
-    );
+  // Change the band count and rebuild the circles with it (tuning panel)
+  sk.setBandCount = function (bands) {
+    sk.circleDefaults.bands = bands === 'auto' ? 'auto' : sk.constrain(parseInt(bands, 10) || 3, 1, MAX_BANDS);
+    sk.createFixedLayout();
+    sk.prepareNetworkLines();
+  };
+
+  sk.addCircle = function (x, y, r) {
+    let c = new sk.Circle(x, y, r);
+    sk.circles.push(c);
+    // Randomly select 70% of circles (by default) to be "nodes" for connections
+    if (sk.random(1) < sk.nodeChance) {
+      sk.connectedNodes.push(c);
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                      Prepare animated connecting lines
+  // -----------------------------------------------------------------------
+  //
+  // Instead of computing line segments each frame, we pre-generate a list
+  // of lines between nodes, chosen by the selected topology, each with its
+  // own start time from the growth order (network.js). This runs once in
+  // setup() and after windowResized().
+  //
+  sk.prepareNetworkLines = function () {
+    // A loaded scene keeps its own edges until the topology is changed
+    let edges = sk.sceneNetworkEdges(sk.activeScene) || sk.buildNetworkEdges(sk.connectedNodes);
+    sk.networkLines = sk.orderNetworkGrowth(sk.connectedNodes, edges);
+    sk.buildSonglinePaths(sk.networkLines); // Path shape and dots for each line (songlines.js)
+    sk.networkDuration = 0;
+    for (let L of sk.networkLines) {
+      sk.networkDuration = sk.max(sk.networkDuration, L.startT + sk.lineGrowDuration);
+    }
+    // Per-circle start times, some of which follow the lines (choreography.js)
+    sk.applyChoreography();
+  };
+
+  // -----------------------------------------------------------------------
+  //                         Animated connecting lines
+  // -----------------------------------------------------------------------
+  //
+  // This function is called every frame in draw(). It receives the masterP
+  // (0-1-0 loop) and calculates a "virtual" time to draw each line.
+  // The path shape, the line / dot rendering and the travelling particles
+  // come from songlines.js.
+  //
+  // References:
+  // lerp():  https://p5js.org/reference/p5/lerp/
+  //
+  sk.drawNetworkLines = function (masterP) { 
+    let linkColor = sk.paletteColor('link'); // Creamy colour, semi-transparent (from the palette)
+    // Use push/pop to isolate style settings for lines
+    sk.push();
     
-    // pOuter will only start to change from 0 to 1 when t > (innerDuration + middleDuration)
-    let pOuter = constrain(
-      (t - (this.innerDuration + this.middleDuration)) / this.outerDuration,
-      0, 1
-    );
-    // 4. Draw all animated layers. 
-    // The functions will draw nothing if their 'p' value is 0.
-    this.displayInnerAnimated(pInner);
-    this.displayMiddleAnimated(pMiddle);
-    this.displayOuterAnimated(pOuter);
-    pop(); // Restore coordinate system
-  }
+    // Calculate a "virtual" time based on masterP instead of millis()
+    // This makes the animation reversible.
+    let now = masterP * sk.networkDuration; // 'now' will go 0 -> total -> 0
+    for (let i = 0; i < sk.networkLines.length; i++) {
+      let L = sk.networkLines[i];
+      // Each line starts at its own time from the growth order (network.js)
+      let rawP = (now - L.startT) / sk.lineGrowDuration;
+      let p = sk.constrain(rawP, 0, 1);
+      if (p > 0) {
+        // Line grows from start to end along its path
+        sk.drawSongline(L, p, linkColor);
+      }
+      if (rawP >= 1) {
+        // Fully grown: particles fade in over the next quarter of a line's growth time
+        sk.drawSonglineParticles(L, sk.transportLoopTime(), sk.constrain((rawP - 1) * 4, 0, 1), linkColor);
+      }
+    }
+    sk.pop();
+  };
+
+  // -----------------------------------------------------------------------
+  //                             Compositing
+  // -----------------------------------------------------------------------
+  //
+  // Layers are composited instead of painted over each other: each circle
+  // cuts its outline out of everything drawn before it, and the background
+  // is drawn last, underneath the lot. So the dots carry on behind and
+  // between the circles, and with ?background=transparent the canvas
+  // stays see-through wherever nothing is drawn.
+  //
+  // References:
+  // erase():     https://p5js.org/reference/p5/erase/
+  // beginClip(): https://p5js.org/reference/p5/beginClip/
+  // globalCompositeOperation: https://developer.mozilla.org/docs/Web/API/CanvasRenderingContext2D/globalCompositeOperation
+  //
+
+  // Cut circle 'c' out of the picture so far, then clip what is drawn next
+  // (until the next pop()) to the same outline. Both read the outline from
+  // the circle's 'mask' jitter table, so they match exactly.
+  sk.maskCircle = function (c) {
+    sk.erase();
+    c.drawOutline();
+    sk.noErase();
+    sk.beginClip();
+    c.drawOutline();
+    sk.endClip();
+  };
 
-  // -------------------------------------------------------------------
-  //                    Drawing Utilities (Helper Shapes)
-  // -------------------------------------------------------------------
-  /*
-        Many of the custom shapes in this sketch use beginShape() together with
-        curveVertex() to build smooth, organic outlines instead of perfect geometric primitives. 
-        This technique was not fully covered in class and is adapted from the official p5.js reference:
-            - beginShape(): https://p5js.org/reference/p5/beginShape/
-            - curveVertex(): https://p5js.org/reference/p5/curveVertex/
-        By adding small random jitter to the radii of points before calling
-        curveVertex(), we simulate hand-drawn contours and irregular blobs.
+  // Slide the texture (backgrounds.js) and the background colour in behind
+  // what is already on the canvas ('destination-over' only paints where it
+  // is still clear)
+  sk.drawBackground = function (masterP) {
+    sk.push();
+    sk.drawingContext.globalCompositeOperation = 'destination-over';
+    sk.drawBackgroundTexture(masterP);
+    if (!sk.transparent) sk.background(sk.globalBgColor);
+    sk.pop();
+  };
+
+  // ======================================================================
+  // ========================= CIRCLE CLASS ===============================
+  // ======================================================================
+  //
+  // The Circle class encapsulates all logic for drawing a single circular
+  // motif. Each Circle instance stores its position, radius, a stack of
+  // concentric bands (three by default: inner, middle, outer) with randomly
+  // chosen pattern types, and timing values that control the staged animation.
+  //
+  // The class provides:
+  // - display(): orchestrates time-based animation of the bands, core → outside
+  // - a set of helper methods to draw blobs and hand-drawn circles
+  //   using beginShape() + curveVertex().
+  // The patterns for each band are registered by name in patterns/*.js.
+  //
+  sk.Circle = class Circle {
+    /*
+      Each Circle is a stack of concentric bands, from the core outwards
+      (three by default: inner, middle and outer). Every band randomly
+      selects a pattern type, a colour and a growth duration. This modular
+      structure expands on OOP techniques, enabling controlled variation
+      through generative rules.
     */
-  drawIrregularBlob(rOffset, angle, size, col) {
-    //beginShape() + curveVertex()： draw a small, irregular dot shape at a given radial offset and angle.
-    // Calculate position based on polar coordinates
-    let x = cos(angle) * rOffset;
-    let y = sin(angle) * rOffset;
-    fill(col);
-    noStroke();
-    push();
-    translate(x, y);
-    rotate(random(TWO_PI));  // Random rotation for variety
-    beginShape();
-    let points = 8;
-    for (let i = 0; i < points; i++) {
-      let a = (TWO_PI / points) * i;
-      // Jitter the radius of the dot itself
-      let r = size * 0.5 * random(0.85, 1.15);
-      curveVertex(cos(a) * r, sin(a) * r);
+    constructor(x, y, r) {
+      this.x = x;
+      this.y = y;
+      this.r = r;
+      // Where the bands sit (see bandLayout() below). Each band is
+      // { family, from, to, pattern, colSlot, duration }: 'family' is the
+      // group of patterns it draws from, 'from' / 'to' its radius range as
+      // fractions of this.r.
+      this.bands = bandLayout(sk.bandCount(r));
+      // Randomly assign pattern types (once at creation), by name from
+      // whatever is in the pattern registry (patterns/registry.js),
+      // outermost band first
+      for (let i = this.bands.length - 1; i >= 0; i--) {
+        this.bands[i].pattern = pickPattern(this.bands[i].family, sk);
+      }
+      this.irregularity = sk.circleDefaults.irregularity; // amount of jitter for hand-drawn feel
+      // --- Time-based animation control ---
+      // Each band grows for its family's duration (ms), core first
+      for (let band of this.bands) band.duration = sk.circleDefaults[band.family + 'Duration'];
+      // This circle's window of the grow phase, set by applyChoreography()
+      // (choreography.js). The defaults span the whole phase, like before.
+      this.startOffset = 0;
+      this.growSpan = 1;
+      // Stable palette slots per circle (sampled once, reused every frame for
+      // animation). A slot is a position 0-1 in the palette, so the colours
+      // can cross-fade when the palette changes (see the getters below).
+      this.innerBaseSlot = sk.random(); // The core's base disc
+      for (let band of this.bands) band.colSlot = sk.random();
+      // Pre-rolled jitter, one table per band, so outlines keep their shape
+      // from frame to frame (see beginJitter() / jitter() below)
+      this.jitterSeed = sk.floor(sk.random(1000000000));
+      this.buildJitterTables();
     }
-    endShape(CLOSE);
-    pop();
-  }
-    // larger version of drawIrregularBlob() used to draw big circular motifs
-  drawHandDrawnCircle(r, fillCol, strokeCol, strokeW) {
-    // draws a large base circle with a slightly jittered radius, 
-    // beginShape() + curveVertex(): described above to create an organic, hand-drawn outline.
-    //This function can be used to draw circles both with fill and without fill.
-    if (fillCol)  fill(fillCol);  else noFill();
-    if (strokeCol) stroke(strokeCol); else noStroke();
-    if (strokeW)  strokeWeight(strokeW);
-    beginShape();
-    let points = 50;  // if the number of points is too small, the circle will look like a polygon.
-    // if the number of points is too big, the circle will look like too perfect!
-    for (let i = 0; i <= points; i++) {
-      let angle  = (TWO_PI / points) * i;
-      // Jitter the main radius
-      let jitter = random(-r * 0.01, r * 0.01);
-      let radius = r + jitter;
-      curveVertex(cos(angle) * radius, sin(angle) * radius);
+    // Kept separate so a loaded scene can restore a circle's saved jitterSeed
+    // (and bands). Table 'mask' is for the outline, the others are numbered
+    // by band from the core outwards.
+    buildJitterTables() {
+      this.jitterTables = { mask: seededValues(mixSeed(this.jitterSeed, 0), JITTER_TABLE_SIZE) };
+      this.bands.forEach((band, i) => {
+        this.jitterTables[i] = seededValues(mixSeed(this.jitterSeed, i + 1), JITTER_TABLE_SIZE);
+      });
+      this.beginJitter('mask');
     }
-    endShape(CLOSE);
-  }
-  
-// -- How do animated patterns work --
-//
-// Below displayOuterAnimated, displayMiddleAnimated, and displayInnerAnimated
-// All functions take a 'p' (progress) argument, which ranges from 0 to 1.
-//
-// Inside each drawPattern function, this 'p' value controls the animation in several ways:
-// 1.Radius size: this.r * 0.25 * p → The circle expands from smallest to largest
-// 2. Quantity: like floor(50 * p) → The number of points or lines will gradually increase
-// 3. range/length: e.g. < this.r * 0.5 * p → The radius of a ring or the length of a helix grows
-//
-// When masterP rewinds, the 'p' value changes from 1 back to 0, automatically "rewinding" these effects.
-//
-  // =====================================================================
-  //                      OUTER PATTERNS (Animated)
-  // =====================================================================
-  displayOuterAnimated(p) {
-    if (p <= 0) return; // Still return if progress is 0
-    let col = this.outerCol; // Use stable color from constructor
-    // draw the outer pattern based on the pattern type
-    switch (this.outerPatternType) {
-      case 0:
-        this.drawOuterDotsPattern(col, p);
-        break;
-      case 1:
-        this.drawOuterRadiatingLinesPattern(col, p);
-        break;
-      case 2:
-        this.drawOuterStripedRingPattern(col, p);
-        break;
-      case 3:
-        this.drawOuterRadialDashPattern(col, p);
-        break;
+
+    // Total duration for this circle's animation cascade
+    get totalDuration() {
+      return this.bands.reduce((sum, band) => sum + band.duration, 0);
     }
-  }
-  // Pattern 0: Irregular dots ring
-  drawOuterDotsPattern(col, p) {
-    let dotSize    = this.r * 0.07;
-    let dotSpacing = this.r * 0.09;
-  
-    // the dots ring starts from a radius of 0.65 times the radius of the circle
-    // and will end at 0.95 times the radius of the circle
-    // you can adjust all the parameters to achieve the effect you want
-    for (let radius = this.r * 0.65;
-         radius < this.r * 0.95 * p; // 'p' controls max radius (Scope)
-         radius += dotSpacing) {
-      let count = floor((TWO_PI * radius) / dotSpacing); // calculate the number of dots in this radius
-      //so the density of dots on each circle is identical
-      for (let i = 0; i < count; i++) { // draw dots ring
-        let angle = (TWO_PI / count) * i;
-        this.drawIrregularBlob(radius, angle, dotSize, col);
-      }
+
+    // Colours are looked up from the active palette every time they are
+    // used, so they follow palette changes (palettes.js)
+    get innerBaseColor() { return this.faded(sk.paletteColor('base', this.innerBaseSlot), 0); }
+    bandColor(i)         { return this.faded(sk.paletteColor('pattern', this.bands[i].colSlot), i); }
+
+    // During a 'fade' timeline phase (timeline.js) a band's colours fade
+    // out to transparent instead of the band shrinking, so whatever is
+    // behind the circle shows through
+    faded(col, i) {
+      if (!this.bandFade) return col;
+      return sk.color(sk.red(col), sk.green(col), sk.blue(col), sk.alpha(col) * this.bandFade[i]);
     }
-  }
-  // Pattern 1: Radiating lines (sunburst)
-  // Uses rotate() to simplify drawing lines radiating from center
-  drawOuterRadiatingLinesPattern(col, p) {
-    let numLines = 40;
-    stroke(col);
-    strokeWeight(this.r * 0.015);
-    strokeCap(ROUND);
-    let maxLines = numLines * p; // 'p' controls how many lines (Number)
-    for (let i = 0; i < maxLines; i++) {
-      let angle = (TWO_PI / numLines) * i + random(-0.05, 0.05); // add random jitter to each line
-      push();
-      rotate(angle); // Rotate context
-      // Draw line along the X-axis
-      line(this.r * 0.6, 0, this.r * 0.95, 0);
-      // Draw dot at the tip
-      this.drawIrregularBlob(this.r * 0.95, 0, this.r * 0.03, col);
-      pop();
+
+    // Band names for the SVG layers: 'inner', 'middle' and 'outer' for the
+    // usual three, 'middle-1', 'middle-2', ... when there are more between
+    bandName(i) {
+      let n = this.bands.length;
+      if (i === 0) return 'inner';
+      if (i === n - 1) return 'outer';
+      return n === 3 ? 'middle' : 'middle-' + i;
     }
-  }
-  // Pattern 2: Striped ring
-  drawOuterStripedRingPattern(col, p) {
-    noFill();
-    stroke(col);
-    let baseStrokeWeight = this.r * 0.025;
-    let numRings = 2; // we only want 2 rings to make the pattern look more brief
-    // You can increase the number to get a more dense ring pattern
-    for (let i = 0; i < numRings; i++) {
-      // The map() function scales a value from one range to another.
-      // Here, it takes the loop counter 'i' (which goes from 0 to numRings - 1)
-      // and converts it to a corresponding radius value
-      let radius = map(i, 0, numRings - 1,
-                       this.r * 0.65,
-                       this.r * 0.9);
-      if (p < 1) radius *= p; // 'p' controls the radius (Radius size)
+
+    // -------------------------------------------------------------------
+    //                         Main Display Method
+    // -------------------------------------------------------------------
+    //
+    // Uses push/pop/translate to simplify drawing coordinates (relative to center 0,0)
+    // Now driven by masterP. The logic calculates the progress of every
+    // band based on a "virtual time" derived from masterP.
+    // 'p' (progress) is a "normalized" value between 0 and 1.
+    // It will drive animations at all levels.
+    //
+    display(masterP) { 
+      sk.push();
       
-      strokeWeight(baseStrokeWeight * random(0.8, 1.2));
-      // Because we don't want a circle with fill, we pass 'null' for fillCol.
-      this.drawHandDrawnCircle(radius, null, col, null);
+      // 1. Move origin to the circle's center
+      sk.translate(this.x, this.y);
+      // 2. Cut the circle out of the lines and circles beneath it, and clip
+      // its own bands to the same outline (until the pop() below)
+      sk.maskCircle(this);
+      // 3. --- NEW LOGIC for Animation ---
+      // Calculate a "virtual" time 't' for this circle based on masterP
+      // 't' will go from 0 -> totalDuration and back to 0.
+      // The choreography shifts and stretches masterP for each circle.
+      // Hovering or clicking the circle blends in its own progress (interaction.js).
+      let t = sk.interactiveProgress(this, sk.choreographedProgress(this, masterP)) * this.totalDuration;
+      // Calculate progress (0-1) for every band based on 't'.
+      // The constrain() function is key. Each band only starts changing
+      // from 0 to 1 once the bands inside it have finished (with the usual
+      // three: pInner over the first innerDuration ms, then pMiddle, then
+      // pOuter). As 't' decreases (during rewind), the outermost band goes
+      // from 1 to 0 first, then the next one in, down to the core.
+      let start = 0;
+      let progress = this.bands.map(band => {
+        let p = sk.constrain((t - start) / band.duration, 0, 1);
+        start += band.duration;
+        return p;
+      });
+      // A 'fade' phase keeps every started band at full size and fades it
+      // by the same progress instead, so the outer band fades first
+      if (sk.timelineState.phase.style === 'fade') {
+        this.bandFade = progress;
+        progress = progress.map(p => p > 0 ? 1 : 0);
+      } else {
+        this.bandFade = null;
+      }
+      // 4. Draw all animated bands, core first.
+      // A band draws nothing if its 'p' value is 0.
+      // Each band reads its own jitter table from the start, so a growing
+      // band never shifts the jitter of the bands drawn after it.
+      // In audio mode each band also pulses with its family's part of the
+      // spectrum (audio.js); audioPulse() is 1 otherwise.
+      this.bands.forEach((band, i) => {
+        sk.beginGroup(this.bandName(i));
+        this.beginJitter(i);
+        sk.push();
+        sk.scale(sk.audioPulse(band.family));
+        this.displayBandAnimated(i, progress[i]);
+        sk.pop();
+        sk.endGroup();
+      });
+      sk.pop(); // Restore coordinate system
     }
-  }
-  // Pattern 3: Radial dash (sine wave “spring”)
-  // Uses sin() to create a continuous wavy circumference
-  // This pattern also relies on beginShape() + curveVertex() to render the wavy outer contour as a continuous organic loop.
-  drawOuterRadialDashPattern(col, p) {
-    noFill();
-    stroke(col);
-    strokeWeight(this.r * 0.025);
-    let baseRadius   = this.r * 0.73;
-    let waveHeight   = baseRadius * 0.30;
-    // waveHeight is the amplitude: how far the wave goes "in" and "out" from the baseRadius.
-    let waveFrequency = 60;
-    // waveFrequency controls how many full oscillations (bounces) happen around the circle.
-    let totalPoints   = floor(240 * p); // 'p' controls how much of the ring is drawn (Range/Length)
-    // totalPoints determines the smoothness (resolution) of the shape. More points = smoother.
-    // we use sin to create a wavy effect, it looks like a spring
-    beginShape();
-    for (let j = 0; j <= totalPoints; j++) {
-      let angle  = (TWO_PI / 240) * j;
-      let offset = sin(angle * waveFrequency) * waveHeight;
-      let finalRadius = baseRadius + offset;
-      finalRadius += random(-this.r * 0.005, this.r * 0.005);
-      curveVertex(cos(angle) * finalRadius,
-                  sin(angle) * finalRadius);
+
+    // The circle's outline, a little outside its outer band. It grows
+    // with the outer band's audio pulse, so the pulse is never clipped.
+    drawOutline() {
+      this.beginJitter('mask');
+      this.drawHandDrawnCircle(this.r * 1.05 * sk.audioPulse('outer'), sk.color(255), null, 0);
     }
-    // Don't close if p < 1, let it be an open line
-    if (p < 1) {
-      endShape();
-    } else {
-      endShape(CLOSE);
+
+    // -------------------------------------------------------------------
+    //                         Cached jitter
+    // -------------------------------------------------------------------
+    //
+    // Patterns always draw their shapes in the same order (inner rings and
+    // first dots before later ones), so reading the table with a cursor
+    // gives every vertex the same jitter on every frame, however far 'p'
+    // has grown. In boil mode jitter() falls back to random().
+    //
+    beginJitter(band) {
+      this.jitterValues = this.jitterTables[band];
+      this.jitterCursor = 0;
     }
-  }
 
-  // =====================================================================
-  //                      MIDDLE PATTERNS (Animated)
-  // =====================================================================
-  displayMiddleAnimated(p) {
-    if (p <= 0) return;
-
-    let patCol = this.middleCol; // Use stable color
-
-    switch (this.middlePatternType) {
-      case 0:
-        this.drawMiddleConcentricDotsPattern(patCol, p);
-        break;
-      case 1:
-        this.drawMiddleUshapePattern(patCol, p);
-        break;
-      case 2:
-        this.drawMiddleSolidRings(patCol, p);
-        break;
-      case 3:
-        this.drawMiddleConcentricRings(patCol, p);
-        break;
+    jitter(lo, hi) {
+      if (sk.boilMode) return sk.random(lo, hi);
+      let u = this.jitterValues[this.jitterCursor % JITTER_TABLE_SIZE];
+      this.jitterCursor++;
+      return lo + (hi - lo) * u;
     }
-  }
 
-  // Pattern 0: Concentric dots
-  // small version of drawOuterDotsPattern
-  drawMiddleConcentricDotsPattern(col, p) {
-    let dotSize = this.r * 0.04;
-    for (let r = this.r * 0.2;
-         r < this.r * 0.5 * p; // 'p' controls max radius (Range)
-         r += dotSize * 1.5) {
-
-      let count = floor((TWO_PI * r) / (dotSize * 1.5));
-      for (let i = 0; i < count; i++) {
-        let angle = (TWO_PI / count) * i;
-        this.drawIrregularBlob(r, angle, dotSize, col);
+    // -------------------------------------------------------------------
+    //                    Drawing Utilities (Helper Shapes)
+    // -------------------------------------------------------------------
+    /*
+          Many of the custom shapes in this sketch use beginShape() together with
+          curveVertex() to build smooth, organic outlines instead of perfect geometric primitives. 
+          This technique was not fully covered in class and is adapted from the official p5.js reference:
+              - beginShape(): https://p5js.org/reference/p5/beginShape/
+              - curveVertex(): https://p5js.org/reference/p5/curveVertex/
+          By adding small (cached) random jitter to the radii of points before calling
+          curveVertex(), we simulate hand-drawn contours and irregular blobs.
+      */
+    drawIrregularBlob(rOffset, angle, size, col) {
+      //beginShape() + curveVertex()： draw a small, irregular dot shape at a given radial offset and angle.
+      // Calculate position based on polar coordinates
+      let x = sk.cos(angle) * rOffset;
+      let y = sk.sin(angle) * rOffset;
+      sk.fill(col);
+      sk.noStroke();
+      sk.push();
+      sk.translate(x, y);
+      sk.rotate(this.jitter(0, sk.TWO_PI));  // Random rotation for variety
+      sk.beginShape();
+      let points = sk.lod.blobPoints; // 8 at full detail (quality.js)
+      for (let i = 0; i < points; i++) {
+        let a = (sk.TWO_PI / points) * i;
+        // Jitter the radius of the dot itself
+        let r = size * 0.5 * this.jitter(0.85, 1.15);
+        sk.curveVertex(sk.cos(a) * r, sk.sin(a) * r);
       }
+      sk.endShape(sk.CLOSE);
+      sk.pop();
     }
-  }
+      // larger version of drawIrregularBlob() used to draw big circular motifs
+    drawHandDrawnCircle(r, fillCol, strokeCol, strokeW) {
+      // draws a large base circle with a slightly jittered radius, 
+      // beginShape() + curveVertex(): described above to create an organic, hand-drawn outline.
+      //This function can be used to draw circles both with fill and without fill.
+      if (fillCol)  sk.fill(fillCol);  else sk.noFill();
+      if (strokeCol) sk.stroke(strokeCol); else sk.noStroke();
+      if (strokeW)  sk.strokeWeight(strokeW);
+      sk.beginShape();
+      let points = sk.lod.circlePoints;  // 50 at full detail, fewer when the frame rate drops (quality.js)
+      // if the number of points is too small, the circle will look like a polygon.
+      // if the number of points is too big, the circle will look like too perfect!
+      for (let i = 0; i <= points; i++) {
+        let angle  = (sk.TWO_PI / points) * i;
+        // Jitter the main radius
+        let jitter = this.jitter(-r * this.irregularity / 2, r * this.irregularity / 2);
+        let radius = r + jitter;
+        sk.curveVertex(sk.cos(angle) * radius, sk.sin(angle) * radius);
+      }
+      sk.endShape(sk.CLOSE);
+    }
+    
+  // -- How do animated patterns work --
+  //
+  // Below displayBandAnimated and every registered pattern take a 'p' (progress) argument, which ranges from 0 to 1.
+  //
+  // Inside each pattern's draw function, this 'p' value controls the animation in several ways:
+  // 1.Radius size: this.bandRadius(0.25) * p → The circle expands from smallest to largest
+  // 2. Quantity: like floor(50 * p) → The number of points or lines will gradually increase
+  // 3. range/length: e.g. < this.bandRadius(0.5) * p → The radius of a ring or the length of a helix grows
+  //
+  // When masterP rewinds, the 'p' value changes from 1 back to 0, automatically "rewinding" these effects.
+  //
+    // =====================================================================
+    //                      ANIMATED BANDS
+    // =====================================================================
+    //
+    // The patterns themselves live in patterns/*.js and are looked up by
+    // name in the pattern registry (patterns/registry.js). While band 'i'
+    // draws, this.band is set so the pattern can place itself inside it
+    // with bandRadius() and bandSize().
+    //
+    displayBandAnimated(i, p) {
+      if (p <= 0) return; // Still return if progress is 0
+      let band = this.bands[i];
+      this.band = band;
+      let col = this.bandColor(i); // Use stable color from constructor
 
-  // Pattern 1: U-shape symbols
-  // Represents a person sitting in Indigenous art
-  drawMiddleUshapePattern(col, p) {
-    noFill();
-    stroke(col);
-    strokeWeight(this.r * 0.02);
-    let count = 8; // The total number of U-shapes to draw.
-    let r     = this.r * 0.35; // The radius of the orbit (the circle) on which the U-shapes will be placed.
-    let maxCount = count * p; // 'p' controls how many (Number)
-    for (let i = 0; i < maxCount; i++) {
-      let angle = (TWO_PI / count) * i;
-      // Calculate the angle for this specific shape's position around the circle.
-      // (e.g., 0, 45, 90, 135 degrees...)
-      push();
-      rotate(angle);
-      translate(r, 0);
-      rotate(PI / 2);
-      // arc() draws a semicircle from angle 0 to PI (180 degrees), creating a U-shape.
-      arc(0, 0, this.r * 0.15, this.r * 0.15, 0, PI);
-      pop();
+      // A core band's background circle is always drawn first
+      if (band.family === 'inner') {
+        this.drawHandDrawnCircle(this.bandRadius(0.25) * p, // 'p' controls radius (Radius size)
+                                 this.innerBaseColor,
+                                 null, 0);
+      }
+      drawPattern(sk, this, band.family, band.pattern, col, p);
     }
-  }
 
-  // Pattern 2: Solid rings
-  drawMiddleSolidRings(col, p) {
-    noFill();
-    stroke(col);
-    strokeWeight(this.r * 0.01);
-    
-    // This pattern uses color from the constructor, not a new random one
-    this.drawHandDrawnCircle(this.r * 0.45 * p, null, col, null); // 'p' controls radius (Radius size)
+    // A radius given as a fraction of this.r in the pattern family's own
+    // range (BAND_RANGES), moved into the band being drawn. With the usual
+    // three bands that is the same radius.
+    bandRadius(f) {
+      let lo = BAND_RANGES[this.band.family][0];
+      let k = this.bandScale();
+      return this.r * (f * k + (this.band.from - lo * k)); // Exactly this.r * f when k is 1
+    }
 
-    let col2 = this.middleCol; // Use stable color
-    this.drawHandDrawnCircle(this.r * 0.3 * p, null, col2, null); // 'p' controls radius (Radius size)
-  }
+    // A size (dot, stroke weight, jitter) given as a fraction of this.r,
+    // scaled by how much wider or narrower the band is than its family's range
+    bandSize(f) {
+      return this.r * f * this.bandScale();
+    }
 
-  // Pattern 3: Concentric rings
-  drawMiddleConcentricRings(col, p) {
-    noFill();
-    stroke(col);
+    bandScale() {
+      let [lo, hi] = BAND_RANGES[this.band.family];
+      return (this.band.to - this.band.from) / (hi - lo);
+    }
+  };
 
-    let baseStrokeWeight = this.r * 0.01;
-    let numRings = 5; // The total number of concentric rings to draw.
+  // ======================================================================
+  // =========================== SETUP / DRAW =============================
+  // ======================================================================
+  //
+  // The core p5.js lifecycle: setup() runs once, draw() runs every frame.
+  // We initialise canvas size, colour palettes, layout and network data in
+  // setup(), then animate background, lines and circles in draw().
+  //
+  sk.setup = function () {
+    // Fill the window, or a fixed aspect ratio if one is asked for
+    let size = sk.canvasSize();
+    let canvas = sk.createCanvas(size.w, size.h);
 
-    for (let j = 0; j < numRings; j++) {
-      let currentRadius = map(
-        j,
-        0, numRings - 1,
-        this.r * 0.3,
-        this.r * 0.5
-      );
-      currentRadius *= p; // 'p' controls radius (Radius size)
-      strokeWeight(baseStrokeWeight * random(0.8, 1.2));
-      beginShape();
-      let points = 25;
-      for (let i = 0; i <= points; i++) {
-        let angle  = (TWO_PI / points) * i;
-        let jitter = random(-this.r * 0.025, this.r * 0.025);
-        let radius = currentRadius + jitter;
-        curveVertex(cos(angle) * radius,
-                    sin(angle) * radius);
-      }
-      endShape(CLOSE);
+    // Seed every random() call so the composition can be reproduced
+    sk.initSeed();
+    sk.createSeedPanel();
+    sk.boilMode = sk.params().boil === '1';
+    sk.transparent = sk.params().background === 'transparent';
+    sk.initLayoutChoice();
+    sk.initBandCount();
+    sk.initNetworkSettings();
+    sk.initSonglineSettings();
+    sk.initChoreography();
+    sk.initBackgroundTexture();
+    sk.initTuning();   // Before anything it tunes is built
+    sk.initTimeline(); // Sets globalLoopDuration from the timeline's phases
+    sk.initInteraction();
+    sk.initEvolution();
+    sk.initInstallation(); // May pick the scheduled seed, so before the layout
+    sk.initQuality();
+
+    // --- 1. Colour palette system (Aboriginal-inspired style) ---
+    // The named palettes live in palettes.js; this sets globalBgColor,
+    // circleBasePalette and patternPalette from the chosen one.
+    sk.initPalettes();
+
+    // 2. Initial Layout and Animation Setup
+    // Runs once to create all circles and pre-calculate line segments
+    sk.createFixedLayout();
+    sk.prepareNetworkLines();
+    sk.buildBackgroundLayer();
+
+    // Scene files can be dropped on the canvas or passed as ?scene=
+    sk.initSceneLoading(canvas);
+    // Hover ends when the mouse leaves the canvas
+    canvas.mouseOut(() => sk.clearInteractionPointer());
+
+    // An embedded sketch follows its element's size, not just the window's
+    // Reference: https://developer.mozilla.org/docs/Web/API/ResizeObserver
+    if (sk.container !== document.body) {
+      sk.resizeObserver = new ResizeObserver(() => sk.windowResized());
+      sk.resizeObserver.observe(sk.container);
     }
-  }
+  };
 
-  // =====================================================================
-  //                      INNER PATTERNS (Animated)
-  // =====================================================================
-  displayInnerAnimated(p) {
-    if (p <= 0) return;
+  sk.draw = function () {
+    sk.markLayer('update'); // Layer timings and shape counts for the HUD (quality.js)
+    // The loop position comes from the playback transport (transport.js),
+    // which follows millis() while playing but can also pause, scrub or step.
+    sk.updateAudio(); // Levels and beats in audio mode (audio.js)
+    sk.updateTransport();
+    sk.updateInstallation(); // Scheduled seeds and closed hours (installation.js)
+    sk.updateEvolution(); // A new generation each time the loop comes round
+    sk.updateInteraction(); // Hovered, replayed and rippled circles
+    sk.updateQuality(); // Level of detail for this frame
+    // Edit mode (editor.js) shows everything fully grown
+    let masterP = sk.editor.active && !sk.exportState.running ? 1 : sk.currentMasterP();
+    sk.updatePalette(); // Cross-fade colours after a palette change
+    sk.updateBackgroundTexture(); // Rebake the texture in the new palette
 
-    // Inner background circle is always drawn first
-    this.drawHandDrawnCircle(this.r * 0.25 * p, // 'p' controls radius (Radius size)
-                             this.innerBaseColor,
-                             null, 0);
+    // Per-frame jitter is also seeded, so the same seed and frame number
+    // always produce the same picture
+    // (a poster keeps one frame number for all of its tiles)
+    sk.seedFrame(sk.posterState.tile ? sk.posterState.frame : sk.frameCount);
 
-    let patCol = this.innerCol;
+    // Start from a clear canvas; the background goes in last (see Compositing)
+    sk.clear();
 
-    if (this.innerPatternType === 0) {
-      // Simple large blob (central “eye” or core)
-      this.drawIrregularBlob(0, 0, this.r * 0.15 * p, patCol); // 'p' controls size (Radius size)
-    } else {
-      // Spiral line pattern
-      noFill();
-      stroke(patCol);
-      strokeWeight(this.r * 0.015);
-  
-      // Here we again use beginShape() + curveVertex() to build a spiral-like
-      // path, applying the same hand-drawn curve technique to the inner core.
-      beginShape();
-      let total = floor(50 * p); // 'p' controls length of spiral (Number/Range)
-      for (let i = 0; i < total; i++) {
-        let r = map(i, 0, 50, 0, this.r * 0.2);
-        let angle = i * 0.4;
-        curveVertex(cos(angle) * r, sin(angle) * r);
-      }
-      endShape();
+    // While a poster renders, each redraw() shows one zoomed-in tile
+    sk.push();
+    sk.applyPosterTile();
+    sk.applyInstallationDrift(); // Against burn-in on gallery screens
+
+    // 1. Connection layer (animated “songlines”)
+    // Pass masterP to animate them (grow and shrink)
+    sk.markLayer('lines');
+    sk.drawNetworkLines(masterP); 
+    sk.drawBeatLines(); // Extra songlines grown by beats in audio mode
+    sk.drawRipples();   // Pulses sent out by clicked circles
+
+    // 2. Main circle layer – animated inner → middle → outer
+    // Iterate through all circle objects and call their display method.
+    // Each one cuts itself out of the lines and circles beneath it.
+    sk.markLayer('circles');
+    for (let c of sk.circles) {
+      c.display(masterP); // Pass masterP to animate each circle
     }
-  }
-}
 
-// ======================================================================
-// =========================== SETUP / DRAW =============================
-// ======================================================================
-//
-// The core p5.js lifecycle: setup() runs once, draw() runs every frame.
-// We initialise canvas size, colour palettes, layout and network data in
-// setup(), then animate background, lines and circles in draw().
-//
-function setup() {
-  // Use minimum dimension to ensure a square aspect ratio
-  let size = min(windowWidth, windowHeight);
-  createCanvas(size, size);
-
-
-  // --- 1. Colour palette system (Aboriginal-inspired style) ---
-  globalBgColor = color(30, 20, 15); // Deep, dark earth background
-
-  circleBasePalette = [
-    color(90, 40, 20),   // (Red Ochre)
-    color(60, 30, 15),   // (Deep Earth)
-    color(40, 45, 35),   // (Bush Green)
-    color(110, 60, 30),  // (Burnt Orange)
-    color(20, 20, 20)    // (Charcoal)
-  ];
-
-  patternPalette = [
-    color(255, 255, 255), // (Ceremony White)
-    color(255, 240, 200), // (Cream)
-    color(255, 215, 0),   // (Sun Yellow)
-    color(255, 140, 80),  // (Bright Ochre)
-    color(160, 180, 140), // (Sage)
-    color(200, 200, 210)  // (Ash)
-  ];
-  // 2. Initial Layout and Animation Setup
-  // Runs once to create all circles and pre-calculate line segments
-  createFixedLayout();
-  prepareNetworkLines();
-}
+    // 3. Background texture and colour, behind everything drawn so far
+    sk.markLayer('background');
+    sk.drawBackground(masterP);
+    sk.pop();
+    sk.drawInstallationDim(); // Closed hours
+
+    sk.markLayer('overlay');
+
+    // 4. Edit mode markers, or the optional timeline bar (toggled with 'T')
+    if (sk.editor.active && !sk.exportState.running) {
+      sk.drawEditorOverlay();
+    } else {
+      sk.drawTimeline();
+    }
+    sk.markLayer(null);
+  };
 
-function draw() {
   // --- Animation Loop Control ---
   // Calculate a master progress value 'masterP' that loops.
-  // It goes 0 -> 1 (expand) and then 1 -> 0 (contract).
-  let now = millis();
-  let halfLoop = globalLoopDuration / 2;
-  let timeInLoop = now % globalLoopDuration;
-  
-  let masterP;
-  if (timeInLoop < halfLoop) {
-    // Phase 1: Expanding (0 -> 1)
-    masterP = map(timeInLoop, 0, halfLoop, 0, 1);
-  } else {
-    // Phase 2: Contracting (1 -> 0)
-    masterP = map(timeInLoop, halfLoop, globalLoopDuration, 1, 0);
-  }
-  
-  // Apply easing for a smoother, more organic motion
-  masterP = easeInOutCubic(masterP);
+  // The keyframe timeline (timeline.js) decides how it moves: by default it
+  // goes 0 -> 1 (expand) and then 1 -> 0 (contract), eased in and out.
+  sk.currentMasterP = function () {
+    let frame = sk.evaluateTimeline(sk.transportLoopTime());
+    sk.timelineState.phase = frame.phase; // Circles check the phase's style
+    return frame.value * sk.dayArc(); // Installation mode's day-long arc (installation.js)
+  };
+
+  // ======================================================================
+  // ========================= KEYBOARD SHORTCUTS =========================
+  // ======================================================================
+  //
+  // The piece needs no interaction, but a few keys help while designing.
+  // Each module gets the first chance to handle its own keys; see
+  // transport.js for the playback shortcuts.
+  // Reference: https://p5js.org/reference/p5/keyPressed/
+  //
+  sk.keyPressed = function () {
+    if (!sk.options.keys) return; // Only one sketch on a page should listen
+    // p5 hears keys anywhere on the page: typing into a panel's field is not a shortcut
+    let focused = document.activeElement;
+    if (focused && ['INPUT', 'SELECT', 'TEXTAREA'].includes(focused.tagName)) return;
+    if (sk.exportState.running) return false; // The exporter owns the playhead until it finishes
+    if (sk.handleTransportKey()) return false; // false also stops the page scrolling on SPACE
+    if (sk.editor.active && sk.handleEditorKey()) return false;
+    if (sk.key === 'b' || sk.key === 'B') {
+      // Toggle the hand-drawn "boil" (outlines re-jittered every frame)
+      sk.boilMode = !sk.boilMode;
+    } else if (sk.key === 'l' || sk.key === 'L') {
+      // Next layout strategy (layouts.js)
+      sk.cycleLayout();
+    } else if (sk.key === 'n' || sk.key === 'N') {
+      // Next network topology (network.js)
+      sk.cycleTopology();
+    } else if (sk.key === 's' || sk.key === 'S') {
+      // Next songline path shape (songlines.js)
+      sk.cycleSonglineShape();
+    } else if (sk.key === 'd' || sk.key === 'D') {
+      // Songlines as solid lines or dot-painted tracks
+      sk.toggleSonglineRender();
+    } else if (sk.key === 'p' || sk.key === 'P') {
+      // Travelling particles on fully grown songlines
+      sk.toggleSonglineParticles();
+    } else if (sk.key === 'j' || sk.key === 'J') {
+      // Songlines join the circles at their centres or grow from their rims
+      sk.toggleSonglineEnds();
+    } else if (sk.key === 'c' || sk.key === 'C') {
+      // Next colour palette, cross-fading (palettes.js)
+      sk.cyclePalette();
+    } else if (sk.key === 'e' || sk.key === 'E') {
+      // Show the loop export panel (exporter.js)
+      sk.toggleExportPanel();
+    } else if (sk.key === 'o' || sk.key === 'O') {
+      // Next choreography: how the blooming ripples across the canvas
+      sk.cycleChoreography();
+    } else if (sk.key === 'k' || sk.key === 'K') {
+      // Next keyframe timeline: the rhythm of the loop (timeline.js)
+      sk.cycleTimeline();
+    } else if (sk.key === 'a' || sk.key === 'A') {
+      // Let music or the microphone drive the growth (audio.js)
+      sk.toggleAudioMode();
+    } else if (sk.key === 'm' || sk.key === 'M') {
+      // Place, move and restyle circles by hand (editor.js)
+      sk.toggleEditMode();
+    } else if (sk.key === 'i' || sk.key === 'I') {
+      // Hover and click the circles (interaction.js)
+      sk.toggleInteraction();
+    } else if (sk.key === 'q' || sk.key === 'Q') {
+      // Automatic or fixed level of detail (quality.js)
+      sk.cycleQuality();
+    } else if (sk.key === 'h' || sk.key === 'H') {
+      // Frame rate and per-layer costs
+      sk.toggleHUD();
+    } else if (sk.key === 'u' || sk.key === 'U') {
+      // Sliders for the timings, densities and distances (tuning.js)
+      sk.toggleTuningPanel();
+    } else if (sk.key === 'v' || sk.key === 'V') {
+      // The composition mutates every loop (evolution.js)
+      sk.toggleEvolution();
+    } else if (sk.key === 'w' || sk.key === 'W') {
+      // Follow the wall clock, for long-running installations (installation.js)
+      sk.toggleInstallation();
+    } else if (sk.key === 'x' || sk.key === 'X') {
+      // Next background texture (backgrounds.js)
+      sk.cycleBackgroundTexture();
+    }
+  };
+
+  // Mouse input scrubs the timeline bar, plays with the circles when
+  // interaction is on, or edits circles in edit mode. p5 hears the mouse
+  // anywhere on the page, so presses on the panels' buttons and sliders
+  // (or on another sketch) are left alone; a drag only moves a circle
+  // that a press on the canvas picked up.
+  sk.mousePressed = function (event) {
+    if (event.target !== sk.drawingContext.canvas) return;
+    if (sk.exportState.running) return;
+    if (sk.editor.active) {
+      sk.editorMousePressed();
+    } else if (!sk.handleTimelineMouse(event)) {
+      sk.setInteractionPointer(sk.mouseX, sk.mouseY);
+      sk.interactionPressed();
+    }
+  };
+
+  sk.mouseMoved = function () {
+    sk.setInteractionPointer(sk.mouseX, sk.mouseY);
+  };
+
+  sk.mouseDragged = function (event) {
+    if (sk.exportState.running) return;
+    if (sk.editor.active) {
+      sk.editorMouseDragged();
+    } else {
+      sk.handleTimelineMouse(event);
+    }
+  };
 
-  background(globalBgColor);
+  sk.mouseReleased = function () {
+    if (sk.editor.active) sk.editorMouseReleased();
+  };
 
-  // 1. Background texture
-  // Draw random white dots that fill the canvas to create atmosphere
-  drawBackgroundDots();
+  // A finger on the canvas works like the mouse, and hovers while it is
+  // down. p5 hears touches anywhere on the page, so touches elsewhere (on
+  // the panels' buttons, or another sketch) are left to the browser.
+  // Returning false stops the page scrolling and the browser sending the
+  // same tap again as a mouse click.
+  // Reference: https://p5js.org/reference/p5/touchStarted/
+  sk.touchStarted = function (event) {
+    if (event.target !== sk.drawingContext.canvas) return;
+    sk.setInteractionPointer(sk.mouseX, sk.mouseY);
+    sk.mousePressed(event);
+    return false;
+  };
 
-  // 2. Connection layer (animated “songlines”)
-  // Pass masterP to animate them (grow and shrink)
-  drawNetworkLines(masterP); 
+  sk.touchMoved = function (event) {
+    if (event.target !== sk.drawingContext.canvas) return;
+    sk.setInteractionPointer(sk.mouseX, sk.mouseY);
+    sk.mouseDragged(event);
+    return false;
+  };
 
-  // 3. Main circle layer – animated inner → middle → outer
-  // Iterate through all circle objects and call their display method
-  for (let c of circles) {
-    c.display(masterP); // Pass masterP to animate each circle
+  sk.touchEnded = function (event) {
+    if (event.target !== sk.drawingContext.canvas) return;
+    sk.clearInteractionPointer();
+    sk.mouseReleased();
+    return false;
+  };
+}
+
+const JITTER_TABLE_SIZE = 2048; // Pre-rolled values per band (wraps around)
+
+// Where the bands of a circle with 'n' bands sit, from the core outwards:
+// [{ family, from, to }] with radii as fractions of the circle's radius.
+// Three bands are the original inner / middle / outer (BAND_RANGES in
+// patterns/registry.js). Otherwise a core of the inner family is ringed by
+// bands of equal width out to 0.95, alternating middle and outer families
+// from the outermost (always outer) inwards.
+const MAX_BANDS = 7;
+
+function bandLayout(n) {
+  if (n === 3) {
+    return PATTERN_BANDS.map(family => ({ family: family, from: BAND_RANGES[family][0], to: BAND_RANGES[family][1] }));
+  }
+  if (n === 1) return [{ family: 'inner', from: 0, to: 0.95 }];
+  let core = n === 2 ? 0.4 : 0.2;
+  let bands = [{ family: 'inner', from: 0, to: core }];
+  let rings = n - 1;
+  let start = core * 0.8; // Overlap the core a little, as the middle band does
+  let step = (0.95 - start) / rings;
+  for (let i = 0; i < rings; i++) {
+    bands.push({
+      family: (rings - 1 - i) % 2 === 0 ? 'outer' : 'middle',
+      from: start + step * i + (i > 0 ? step * 0.1 : 0), // A small gap between rings
+      to: start + step * (i + 1)
+    });
   }
+  return bands;
+}
+
+// Fill an array with 'count' values in [0, 1) from a private generator
+// (mulberry32), so large jitter tables can be derived from one seed
+// without consuming the shared random() stream.
+function seededValues(seed, count) {
+  let values = new Float32Array(count);
+  let s = seed >>> 0;
+  for (let i = 0; i < count; i++) {
+    s = (s + 0x6d2b79f5) | 0;
+    let t = Math.imul(s ^ (s >>> 15), 1 | s);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    values[i] = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+  return values;
+}
+
+// Small integer hash of two numbers (based on the MurmurHash3 finaliser).
+function mixSeed(a, b) {
+  let h = Math.imul(a ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(b + 0x632be5ab, 0xc2b2ae35);
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
 }
 
-// Easing function for smooth 0 -> 1 -> 0 transition.
-// This function makes the animation start and end slowly,
-// which feels more natural than a linear (constant speed) change.
-function easeInOutCubic(x) {
-  return x < 0.5 ? 4 * x * x * x : 1 - pow(-2 * x + 2, 3) / 2;
-}
\ No newline at end of file
+// Fixed pixel sizes (line widths, dot spacing, ...) were tuned on an
+// 800px canvas; scaled() resizes them to match the current canvas.
+const REFERENCE_SIZE = 800;
@@ -0,0 +1,112 @@
+// =======================================================================
+// ========================== Sketch Factory =============================
+// =======================================================================
+//
+// The artwork as a component. createSonglineSketch() builds one complete
+// sketch in p5's instance mode inside a page element, so a page can hold
+// several of them side by side (a gallery wall, a blog post, a kiosk):
+//
+//   let sketch = createSonglineSketch(document.getElementById('wall'), {
+//     seed: 42, palette: 'ochre-dawn', layout: 'hex'
+//   });
+//   sketch.stop();
+//   sketch.setOptions({ palette: 'saltwater', choreo: 'wave' });
+//   sketch.start();
+//   sketch.destroy();
+//
+// Each sketch has its own circles, network, palettes, timelines and
+// transport. Options use the same names and values as the URL parameters
+// in the README (seed, layout, count, topology, songline, palette, choreo,
+// timeline, aspect, boil, ...), plus:
+//   url        read the page URL's parameters and keep them in sync
+//              (index.html's sketch does; embedded ones usually don't)
+//   keys       keyboard shortcuts, off by default (p5 hears every key on
+//              the page, so give them to one sketch only, as index.html does)
+//   palettes   extra palettes, { name: palette } as in palettes.js
+//   timelines  extra timelines, { name: [phases] } as in timeline.js
+//
+// Reference: https://github.com/processing/p5.js/wiki/Global-and-instance-mode
+//
+const SKETCH_DEFAULTS = {
+  url: false,
+  keys: false
+};
+
+// Every module's part of the sketch, in the order index.html loads them
+const SKETCH_INSTALLERS = [
+  installLayouts, installNetwork, installSonglines, installChoreography,
+  installTimeline, installPalettes, installBackgrounds, installScene, installEditor, installInteraction,
+  installEvolution,
+  installAudio, installTransport, installInstallation, installExporter, installSVGExport, installPoster, installQuality,
+  installTuning,
+  installSketch
+];
+
+// 'container' is an element (or its id); the canvas fills it
+function createSonglineSketch(container = document.body, options = {}) {
+  if (typeof container === 'string') container = document.getElementById(container);
+  // The panels are positioned inside the sketch's element
+  if (container !== document.body && getComputedStyle(container).position === 'static') {
+    container.style.position = 'relative';
+  }
+
+  let sk = new p5(p => {
+    p.container = container;
+    p.options = Object.assign({}, SKETCH_DEFAULTS, options);
+    for (let install of SKETCH_INSTALLERS) install(p);
+  }, container);
+
+  return {
+    p5: sk,
+
+    start() {
+      if (sk.isLooping()) return;
+      sk.transport.lastMillis = null; // Carry on from where it stopped
+      sk.loop();
+    },
+
+    stop() {
+      sk.noLoop();
+    },
+
+    // Stop everything and remove the canvas and panels from the page
+    destroy() {
+      sk.setAudioInput(null);
+      if (sk.resizeObserver) sk.resizeObserver.disconnect();
+      sk.remove();
+    },
+
+    // Change options while the sketch runs; the composition is rebuilt
+    setOptions(changes) {
+      Object.assign(sk.options, changes);
+      Object.assign(sk.palettes, changes.palettes);
+      Object.assign(sk.timelines, changes.timelines);
+      if (!sk.circles) return; // setup() has not run yet and reads them itself
+      let params = sk.params();
+      sk.boilMode = params.boil === '1';
+      sk.transparent = params.background === 'transparent';
+      sk.initLayoutChoice();
+      sk.initBandCount();
+      sk.initNetworkSettings();
+      sk.initSonglineSettings();
+      sk.initChoreography();
+      sk.initBackgroundTexture();
+      sk.initInteraction();
+      sk.initEvolution();
+      sk.initInstallation();
+      sk.initQuality();
+      sk.initTuning();
+      if ('timeline' in changes || 'loop' in changes) sk.initTimeline();
+      if (sk.palettes[params.palette] && params.palette !== sk.paletteState.name) sk.setPalette(params.palette);
+      if ('aspect' in changes) sk.windowResized();
+      if ('seed' in changes) {
+        let seed = parseInt(params.seed, 10);
+        sk.useSeed(Number.isFinite(seed) ? seed : sk.floor(Math.random() * 1000000000)); // As initSeed() does
+      } else {
+        sk.createFixedLayout();
+        sk.prepareNetworkLines();
+        sk.buildBackgroundLayer(); // The texture may have changed
+      }
+    }
+  };
+}
@@ -0,0 +1,263 @@
+// =======================================================================
+// ========================== Songline Styles ============================
+// =======================================================================
+//
+// How each network line looks and grows. Every line is turned into a
+// path of sample points once, in prepareNetworkLines(); drawing a line at
+// progress 'p' then draws the first p-th of that path measured by arc
+// length, so straight, curved and meandering lines all grow at an even
+// speed and keep the lineDelay / lineGrowDuration staggering.
+//
+// Path shapes:
+//   straight   the original straight segment
+//   curved     a gentle arc bending to one side
+//   meander    a winding path that wobbles around the straight line
+//
+// Render modes:
+//   line       a solid 10px cream stroke
+//   dots       a track of irregular dots, like drawIrregularBlob(), in
+//              the manner of a dot painting (a main row flanked by two
+//              rows of smaller dots)
+//
+// Ends:
+//   centre     lines run from centre to centre; the circles cut away the
+//              parts inside them (see maskCircle() in sketch.js)
+//   rim        paths are trimmed to the circles' outlines, so each line
+//              grows out of one circle's rim and stops at the next one's
+//
+// Once a line has fully grown, small particles travel along it from one
+// circle to the next. Their position comes from the transport's loop
+// time, so they pause, scrub and export along with everything else.
+//
+// Choose with ?songline=, ?render=, ?ends=rim and ?particles=0, or use the
+// keys: 'S' next path shape, 'D' lines / dots, 'J' centre / rim ends,
+// 'P' particles on / off.
+//
+const SONGLINE_SHAPES = ['straight', 'curved', 'meander'];
+const SONGLINE_SAMPLES = 48;       // Points per path
+const SONGLINE_RIM = 1.05;         // Radius the 'rim' ends stop at (x r, as Circle.drawOutline())
+const SONGLINE_DOT_SPACING = 14;   // Distance between dots along the track (px at REFERENCE_SIZE)
+
+function installSonglines(sk) {
+  sk.songlineSettings = {
+    shape: 'straight',
+    render: 'line',     // 'line' or 'dots'
+    ends: 'centre',     // 'centre' or 'rim'
+    particles: true,
+    particleSpeed: 120  // px per second of loop time (at REFERENCE_SIZE)
+  };
+
+  sk.initSonglineSettings = function () {
+    let params = sk.params();
+    if (SONGLINE_SHAPES.includes(params.songline)) sk.songlineSettings.shape = params.songline;
+    if (params.render === 'line' || params.render === 'dots') sk.songlineSettings.render = params.render;
+    if (params.ends === 'centre' || params.ends === 'rim') sk.songlineSettings.ends = params.ends;
+    if (params.particles === '0') sk.songlineSettings.particles = false;
+  };
+
+  sk.cycleSonglineShape = function () {
+    let i = SONGLINE_SHAPES.indexOf(sk.songlineSettings.shape);
+    sk.songlineSettings.shape = SONGLINE_SHAPES[(i + 1) % SONGLINE_SHAPES.length];
+    sk.setURLParam('songline', sk.songlineSettings.shape);
+    sk.prepareNetworkLines();
+  };
+
+  sk.toggleSonglineRender = function () {
+    sk.songlineSettings.render = sk.songlineSettings.render === 'line' ? 'dots' : 'line';
+    sk.setURLParam('render', sk.songlineSettings.render);
+  };
+
+  sk.toggleSonglineEnds = function () {
+    sk.songlineSettings.ends = sk.songlineSettings.ends === 'centre' ? 'rim' : 'centre';
+    sk.setURLParam('ends', sk.songlineSettings.ends === 'rim' ? 'rim' : null);
+    sk.prepareNetworkLines();
+  };
+
+  sk.toggleSonglineParticles = function () {
+    sk.songlineSettings.particles = !sk.songlineSettings.particles;
+    sk.setURLParam('particles', sk.songlineSettings.particles ? null : 0);
+  };
+
+  // -----------------------------------------------------------------------
+  //                             Path building
+  // -----------------------------------------------------------------------
+
+  // Sample the path of every line and pre-roll its dots. The random values
+  // come from their own seed, so the same composition always gets the same
+  // curves whenever the lines are rebuilt.
+  sk.buildSonglinePaths = function (lines, seed = mixSeed(sk.currentSeed, -2)) {
+    sk.randomSeed(seed);
+    for (let L of lines) {
+      L.points = sk.sampleSonglinePath(L);
+      if (sk.songlineSettings.ends === 'rim') L.points = sk.trimSonglinePath(L.points, L.from, L.to);
+      L.arc = [0]; // Cumulative arc length at each sample
+      for (let i = 1; i < L.points.length; i++) {
+        let a = L.points[i - 1];
+        let b = L.points[i];
+        L.arc.push(L.arc[i - 1] + sk.dist(a.x, a.y, b.x, b.y));
+      }
+      L.length = L.arc[L.arc.length - 1];
+      L.dots = sk.buildSonglineDots(L);
+      // One particle per 150px, evenly spaced along the line
+      let particleCount = sk.max(1, sk.round(L.length / sk.scaled(150)));
+      L.particles = [];
+      for (let i = 0; i < particleCount; i++) L.particles.push((i + sk.random(0.2)) / particleCount);
+    }
+  };
+
+  sk.sampleSonglinePath = function (L) {
+    let dx = L.x2 - L.x1;
+    let dy = L.y2 - L.y1;
+    let len = sk.sqrt(dx * dx + dy * dy);
+    // Unit vector perpendicular to the line, for sideways offsets
+    let nx = len > 0 ? -dy / len : 0;
+    let ny = len > 0 ? dx / len : 0;
+
+    let bend = sk.random(0.12, 0.25) * len * (sk.random(1) < 0.5 ? -1 : 1);
+    let waves = sk.floor(sk.random(2, 4));
+    let phase = sk.random(sk.TWO_PI);
+
+    let points = [];
+    for (let i = 0; i <= SONGLINE_SAMPLES; i++) {
+      let t = i / SONGLINE_SAMPLES;
+      let offset = 0;
+      if (sk.songlineSettings.shape === 'curved') {
+        // Quadratic Bézier with its control point pushed sideways by 'bend';
+        // the curve's sideways offset at t is 2t(1-t) times that push
+        offset = 2 * t * (1 - t) * bend;
+      } else if (sk.songlineSettings.shape === 'meander') {
+        // Waves that fade out towards both ends, so the path still meets
+        // the circles head on
+        offset = sk.sin(sk.PI * t) * sk.sin(t * waves * sk.TWO_PI + phase) * len * 0.06;
+      }
+      points.push({ x: L.x1 + dx * t + nx * offset, y: L.y1 + dy * t + ny * offset });
+    }
+    return points;
+  };
+
+  // The part of a path between its two circles' rims: from where it first
+  // leaves 'from' to where it last enters 'to'. Circles that overlap so
+  // much that no point lies outside both keep only the middle point.
+  sk.trimSonglinePath = function (points, from, to) {
+    let outside = (pt, c) => sk.dist(pt.x, pt.y, c.x, c.y) >= c.r * SONGLINE_RIM;
+    let first = points.findIndex(pt => outside(pt, from));
+    let last = points.length - 1;
+    while (last >= 0 && !outside(points[last], to)) last--;
+    if (first === -1 || last < first) {
+      let mid = points[sk.floor(points.length / 2)];
+      return [mid, mid];
+    }
+    // Where the segment a-b crosses circle c's rim (a inside, b outside)
+    let crossing = (a, b, c) => {
+      let da = sk.dist(a.x, a.y, c.x, c.y);
+      let db = sk.dist(b.x, b.y, c.x, c.y);
+      let t = (c.r * SONGLINE_RIM - da) / (db - da);
+      return { x: sk.lerp(a.x, b.x, t), y: sk.lerp(a.y, b.y, t) };
+    };
+    let trimmed = points.slice(first, last + 1);
+    if (first > 0) trimmed.unshift(crossing(points[first - 1], points[first], from));
+    if (last < points.length - 1) trimmed.push(crossing(points[last + 1], points[last], to));
+    return trimmed;
+  };
+
+  // Dots along the path: a main row plus a row of smaller dots on each side.
+  // 's' is each dot's arc length, so the track can grow dot by dot.
+  sk.buildSonglineDots = function (L) {
+    let dots = [];
+    let spacing = sk.scaled(SONGLINE_DOT_SPACING);
+    for (let s = 0; s <= L.length; s += spacing) {
+      let pos = sk.songlinePointAt(L, s);
+      let next = sk.songlinePointAt(L, sk.min(s + 1, L.length));
+      let angle = sk.atan2(next.y - pos.y, next.x - pos.x);
+      for (let row of [-1, 0, 1]) {
+        let side = row * sk.scaled(11); // Offset of the side rows
+        dots.push({
+          s: s,
+          x: pos.x - sk.sin(angle) * side,
+          y: pos.y + sk.cos(angle) * side,
+          size: sk.scaled(row === 0 ? 10 : 6) * sk.random(0.85, 1.15),
+          alpha: row === 0 ? 220 : 150,
+          rotation: sk.random(sk.TWO_PI),
+          jitter: [0, 1, 2, 3, 4, 5, 6, 7].map(() => sk.random(0.85, 1.15))
+        });
+      }
+    }
+    return dots;
+  };
+
+  // Point at arc length 's' along a sampled path
+  sk.songlinePointAt = function (L, s) {
+    s = sk.constrain(s, 0, L.length);
+    let i = 1;
+    while (i < L.arc.length - 1 && L.arc[i] < s) i++;
+    let segment = L.arc[i] - L.arc[i - 1];
+    let t = segment > 0 ? (s - L.arc[i - 1]) / segment : 0;
+    return {
+      x: sk.lerp(L.points[i - 1].x, L.points[i].x, t),
+      y: sk.lerp(L.points[i - 1].y, L.points[i].y, t)
+    };
+  };
+
+  // -----------------------------------------------------------------------
+  //                               Drawing
+  // -----------------------------------------------------------------------
+
+  // Draw line 'L' grown to progress 'p' (0-1) in the current render mode
+  sk.drawSongline = function (L, p, linkColor) {
+    let grown = p * L.length;
+    if (sk.songlineSettings.render === 'dots') {
+      sk.noStroke();
+      for (let d of L.dots) {
+        if (d.s > grown) break; // Dots are stored in order along the path
+        // The colour's own alpha scales the dot's, so faded lines fade here too
+        sk.fill(sk.red(linkColor), sk.green(linkColor), sk.blue(linkColor), d.alpha * sk.alpha(linkColor) / 255);
+        sk.drawSonglineDot(d);
+      }
+    } else {
+      sk.noFill();
+      sk.stroke(linkColor);
+      sk.strokeWeight(sk.scaled(10)); // Wide width, in proportion to the canvas
+      // Every sample point already reached, then the growing tip
+      sk.beginShape();
+      for (let i = 0; i < L.points.length && L.arc[i] < grown; i++) {
+        sk.vertex(L.points[i].x, L.points[i].y);
+      }
+      let tip = sk.songlinePointAt(L, grown);
+      sk.vertex(tip.x, tip.y);
+      sk.endShape();
+    }
+  };
+
+  // Same construction as Circle.drawIrregularBlob(), with pre-rolled jitter
+  sk.drawSonglineDot = function (d) {
+    sk.push();
+    sk.translate(d.x, d.y);
+    sk.rotate(d.rotation);
+    sk.beginShape();
+    let points = sk.lod.blobPoints; // Up to 8, one per pre-rolled jitter value
+    for (let i = 0; i < points; i++) {
+      let a = (sk.TWO_PI / points) * i;
+      let r = d.size * 0.5 * d.jitter[i];
+      sk.curveVertex(sk.cos(a) * r, sk.sin(a) * r);
+    }
+    sk.endShape(sk.CLOSE);
+    sk.pop();
+  };
+
+  // Particles travelling from the line's start circle to its end circle,
+  // in the line's colour 'col' (its alpha is replaced by the fades).
+  // 'fade' (0-1) lets them appear gently once the line is complete.
+  sk.drawSonglineParticles = function (L, time, fade, col) {
+    if (!sk.songlineSettings.particles || L.length <= 0) return;
+    let travel = L.length / sk.scaled(sk.songlineSettings.particleSpeed) * 1000; // ms per trip
+    sk.noStroke();
+    for (let phase of L.particles) {
+      let t = (time / travel + phase) % 1;
+      let pos = sk.songlinePointAt(L, t * L.length);
+      // Fade in and out at the circles so particles don't pop
+      let edgeFade = sk.min(1, t * 8, (1 - t) * 8);
+      sk.fill(sk.red(col), sk.green(col), sk.blue(col), 255 * fade * edgeFade);
+      sk.ellipse(pos.x, pos.y, sk.scaled(6));
+    }
+  };
+}
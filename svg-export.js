@@ -0,0 +1,394 @@
+// =======================================================================
+// =========================== SVG Export ================================
+// =======================================================================
+//
+// Writes the scene at a given masterP as a vector SVG file for print and
+// laser-cut work. Instead of keeping a second copy of every pattern, the
+// exporter records the real drawing code: while it runs, the p5 drawing
+// functions the sketch uses (fill(), stroke(), push(), translate(),
+// ellipse(), line(), arc(), beginShape() / curveVertex() / endShape(), ...)
+// are temporarily replaced with versions that write SVG elements. The
+// curveVertex() outlines become cubic Bézier <path>s using the same
+// Catmull-Rom conversion p5 uses on the canvas, so the file matches the
+// screen.
+//
+// Layers are grouped so they can be edited in Illustrator or Inkscape:
+//   background  (base colour + texture dots; no colour with ?background=transparent)
+//   lines       (network "songlines")
+//   circles     > circle-N > inner / middle / outer (middle-1, middle-2, ... with more bands)
+//
+// The canvas cuts each circle out of what is beneath it and clips its
+// bands to its outline (maskCircle() in sketch.js). In the file every
+// outline is defined once, and the same layering is done with a mask on
+// the lines, a mask on each circle for the circles drawn after it, and a
+// clip path on each circle, so nothing is painted over and the shapes
+// underneath stay whole and editable.
+//
+// References:
+// SVG paths:       https://developer.mozilla.org/docs/Web/SVG/Tutorial/Paths
+// Masks and clips: https://developer.mozilla.org/docs/Web/SVG/Tutorial/Clipping_and_masking
+// curveVertex():   https://p5js.org/reference/p5/curveVertex/
+//
+
+// p5 functions of the sketch that are swapped for SVGRecorder methods while recording
+const SVG_RECORDED_FUNCTIONS = [
+  'push', 'pop', 'translate', 'rotate', 'scale',
+  'fill', 'noFill', 'stroke', 'noStroke', 'strokeWeight', 'strokeCap',
+  'ellipse', 'circle', 'line', 'rect', 'arc',
+  'beginShape', 'vertex', 'curveVertex', 'endShape',
+  'beginGroup', 'endGroup', 'maskCircle'
+];
+
+function installSVGExport(sk) {
+  // Layer hooks. On the canvas they do nothing; while an SVG is being
+  // recorded they open and close named <g> groups (with extra attributes
+  // such as a mask).
+  sk.beginGroup = function (name, isLayer, attrs) {};
+  sk.endGroup = function () {};
+
+  // Save the scene at 'masterP' (defaults to the frame on screen)
+  sk.exportSVG = function (masterP = sk.currentMasterP()) {
+    let svg = sk.renderSVG(masterP);
+    let fileName = 'songlines-' + sk.currentSeed + '-p' + sk.nf(masterP, 1, 3) + '.svg';
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), fileName);
+  };
+
+  // Build the SVG document as a string
+  sk.renderSVG = function (masterP) {
+    let recorder = new sk.SVGRecorder(sk.width, sk.height);
+    let count = sk.circles.length;
+    let outlineId = i => 'outline-' + (i + 1);
+
+    // Every circle's outline once, for the masks and clip paths
+    recorder.record(() => {
+      sk.circles.forEach((c, i) => {
+        sk.push();
+        sk.translate(c.x, c.y);
+        recorder.define(outlineId(i), () => c.drawOutline());
+        sk.pop();
+      });
+    });
+    let outlines = sk.circles.map((c, i) => outlineId(i));
+    recorder.defineMask('cut-lines', outlines);
+    sk.circles.forEach((c, i) => {
+      recorder.defineClipPath('clip-' + (i + 1), outlineId(i));
+      if (i < count - 1) recorder.defineMask('cut-' + (i + 1), outlines.slice(i + 1));
+    });
+
+    recorder.beginGroup('background', true);
+    if (!sk.transparent) {
+      recorder.rawElement('rect', { x: 0, y: 0, width: sk.width, height: sk.height, fill: svgColor(sk.globalBgColor).rgb });
+    }
+    let textureFill = svgColor(sk.textureColor(sk.backgroundLayer !== null)).rgb;
+    for (let d of sk.textureDots(masterP)) {
+      recorder.rawElement('circle', {
+        cx: d.x, cy: d.y, r: d.size / 2,
+        fill: textureFill, 'fill-opacity': svgNumber(d.alpha / 255)
+      });
+    }
+    recorder.endGroup();
+
+    // Same per-frame jitter as the canvas for this frame
+    sk.seedFrame(sk.frameCount);
+    recorder.record(() => {
+      sk.beginGroup('lines', true, { mask: 'url(#cut-lines)' });
+      sk.drawNetworkLines(masterP);
+      sk.endGroup();
+
+      sk.beginGroup('circles', true);
+      sk.circles.forEach((c, i) => {
+        // Clipped to its own outline, hidden under the circles drawn after it
+        let attrs = { 'clip-path': 'url(#clip-' + (i + 1) + ')' };
+        if (i < count - 1) attrs.mask = 'url(#cut-' + (i + 1) + ')';
+        sk.beginGroup('circle-' + (i + 1), false, attrs);
+        c.display(masterP);
+        sk.endGroup();
+      });
+      sk.endGroup();
+    });
+    return recorder.toString();
+  };
+
+  // -----------------------------------------------------------------------
+  //                           SVG Recorder
+  // -----------------------------------------------------------------------
+  //
+  // Mirrors the subset of p5's 2D drawing state that the sketch uses:
+  // fill/stroke style and the transform matrix, both saved by push() and
+  // restored by pop(). Each shape is written with its current transform,
+  // so rotated and translated patterns stay exact.
+  //
+  sk.SVGRecorder = class SVGRecorder {
+    constructor(w, h) {
+      this.w = w;
+      this.h = h;
+      this.lines = [];
+      this.defs = [];       // Lines of the <defs> block
+      this.defining = null; // Id for the shape define() is recording
+      this.depth = 1;
+      this.groups = [];
+      // p5 defaults: white fill, black 1px stroke, round caps
+      this.style = { fill: svgColor(sk.color(255)), stroke: svgColor(sk.color(0)), weight: 1, cap: 'round' };
+      this.matrix = [1, 0, 0, 1, 0, 0];
+      this.stack = [];
+      this.shape = null;
+    }
+
+    // Run 'drawFn' with the p5 drawing functions pointed at this recorder,
+    // in full detail whatever the screen is using (quality.js)
+    record(drawFn) {
+      let saved = {};
+      for (let name of SVG_RECORDED_FUNCTIONS) {
+        saved[name] = sk[name];
+        sk[name] = this[name].bind(this);
+      }
+      try {
+        sk.withFullDetail(drawFn);
+      } finally {
+        for (let name of SVG_RECORDED_FUNCTIONS) sk[name] = saved[name];
+      }
+    }
+
+    toString() {
+      return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<svg xmlns="http://www.w3.org/2000/svg" ' +
+        'xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+        'xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ' +
+        'width="' + this.w + '" height="' + this.h + '" viewBox="0 0 ' + this.w + ' ' + this.h + '">\n' +
+        (this.defs.length > 0 ? '  <defs>\n' + this.defs.join('\n') + '\n  </defs>\n' : '') +
+        this.lines.join('\n') + '\n</svg>\n';
+    }
+
+    // --- Definitions ------------------------------------------------------
+    // Shapes drawn inside define() go into <defs> under 'id', without fill
+    // or stroke, so masks and clip paths can <use> them (and colour them).
+    define(id, drawFn) {
+      this.defining = id;
+      try {
+        drawFn();
+      } finally {
+        this.defining = null;
+      }
+    }
+
+    // Shows everything except the defined shapes 'hiddenIds'
+    defineMask(id, hiddenIds) {
+      this.defs.push('    <mask id="' + id + '" maskUnits="userSpaceOnUse" x="0" y="0" width="' + this.w + '" height="' + this.h + '">');
+      this.defs.push('      <rect x="0" y="0" width="' + this.w + '" height="' + this.h + '" fill="white"/>');
+      for (let hidden of hiddenIds) this.defs.push('      <use xlink:href="#' + hidden + '" fill="black"/>');
+      this.defs.push('    </mask>');
+    }
+
+    defineClipPath(id, shapeId) {
+      this.defs.push('    <clipPath id="' + id + '"><use xlink:href="#' + shapeId + '"/></clipPath>');
+    }
+
+    // The masks and clip paths are set up once by renderSVG(), so there is
+    // nothing to record per circle
+    maskCircle() {}
+
+    // --- Groups ---------------------------------------------------------
+    // Top-level groups are marked as Inkscape layers; Illustrator uses the id.
+    // Ids must be unique, so groups inside a circle are prefixed with its
+    // id ("circle-3-outer") while the label keeps the short name.
+    beginGroup(name, isLayer = false, attrs = {}) {
+      let parent = this.groups[this.groups.length - 1];
+      let id = parent && !parent.isLayer ? parent.id + '-' + name : name;
+      let layerAttr = isLayer ? ' inkscape:groupmode="layer"' : '';
+      let extra = Object.keys(attrs).map(k => ' ' + k + '="' + attrs[k] + '"').join('');
+      this.lines.push('  '.repeat(this.depth) + '<g id="' + id + '"' + layerAttr + ' inkscape:label="' + name + '"' + extra + '>');
+      this.groups.push({ id: id, isLayer: isLayer });
+      this.depth++;
+    }
+
+    endGroup() {
+      this.groups.pop();
+      this.depth--;
+      this.lines.push('  '.repeat(this.depth) + '</g>');
+    }
+
+    rawElement(tag, attrs) {
+      this.lines.push('  '.repeat(this.depth) + svgTag(tag, attrs));
+    }
+
+    // Write a shape with the current fill, stroke and transform
+    element(tag, attrs, filled = true) {
+      if (this.defining) {
+        attrs = Object.assign({ id: this.defining }, attrs);
+        let transform = this.transformAttr();
+        if (transform) attrs.transform = transform;
+        this.defs.push('    ' + svgTag(tag, attrs));
+        return;
+      }
+      let s = this.style;
+      if (!(filled && s.fill) && !s.stroke) return; // Nothing visible
+      if (filled && s.fill) {
+        attrs.fill = s.fill.rgb;
+        if (s.fill.alpha < 1) attrs['fill-opacity'] = svgNumber(s.fill.alpha);
+      } else {
+        attrs.fill = 'none';
+      }
+      if (s.stroke) {
+        attrs.stroke = s.stroke.rgb;
+        if (s.stroke.alpha < 1) attrs['stroke-opacity'] = svgNumber(s.stroke.alpha);
+        attrs['stroke-width'] = s.weight;
+        attrs['stroke-linecap'] = s.cap;
+      }
+      let transform = this.transformAttr();
+      if (transform) attrs.transform = transform;
+      this.rawElement(tag, attrs);
+    }
+
+    // The current matrix as a transform attribute, or null if there is none
+    transformAttr() {
+      let m = this.matrix;
+      if (m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0) return null;
+      return 'matrix(' + m.map(svgNumber).join(' ') + ')';
+    }
+
+    // --- State ------------------------------------------------------------
+    push() {
+      this.stack.push({ style: Object.assign({}, this.style), matrix: this.matrix.slice() });
+    }
+
+    pop() {
+      let saved = this.stack.pop();
+      this.style = saved.style;
+      this.matrix = saved.matrix;
+    }
+
+    translate(x, y) {
+      let m = this.matrix;
+      m[4] += m[0] * x + m[2] * y;
+      m[5] += m[1] * x + m[3] * y;
+    }
+
+    rotate(angle) {
+      let m = this.matrix;
+      let c = Math.cos(angle);
+      let s = Math.sin(angle);
+      this.matrix = [
+        m[0] * c + m[2] * s, m[1] * c + m[3] * s,
+        m[2] * c - m[0] * s, m[3] * c - m[1] * s,
+        m[4], m[5]
+      ];
+    }
+
+    scale(sx, sy = sx) {
+      let m = this.matrix;
+      m[0] *= sx; m[1] *= sx;
+      m[2] *= sy; m[3] *= sy;
+    }
+
+    fill(...args) { this.style.fill = svgColor(sk.color(...args)); }
+    noFill() { this.style.fill = null; }
+    stroke(...args) { this.style.stroke = svgColor(sk.color(...args)); }
+    noStroke() { this.style.stroke = null; }
+    strokeWeight(w) { this.style.weight = w; }
+    strokeCap(cap) { this.style.cap = cap === sk.SQUARE ? 'butt' : cap === sk.PROJECT ? 'square' : 'round'; }
+
+    // --- Primitives ---------------------------------------------------------
+    ellipse(x, y, w, h = w) {
+      this.element('ellipse', { cx: x, cy: y, rx: Math.abs(w) / 2, ry: Math.abs(h) / 2 });
+    }
+
+    circle(x, y, d) {
+      this.ellipse(x, y, d, d);
+    }
+
+    line(x1, y1, x2, y2) {
+      this.element('line', { x1: x1, y1: y1, x2: x2, y2: y2 }, false);
+    }
+
+    rect(x, y, w, h = w) {
+      this.element('rect', { x: x, y: y, width: w, height: h });
+    }
+
+    // Open arc (p5's default mode); angles run clockwise on screen like p5
+    arc(x, y, w, h, start, stop) {
+      let rx = w / 2;
+      let ry = h / 2;
+      if (stop - start >= sk.TWO_PI) {
+        this.ellipse(x, y, w, h);
+        return;
+      }
+      let x0 = x + rx * Math.cos(start);
+      let y0 = y + ry * Math.sin(start);
+      let x1 = x + rx * Math.cos(stop);
+      let y1 = y + ry * Math.sin(stop);
+      let largeArc = stop - start > sk.PI ? 1 : 0;
+      this.element('path', {
+        d: 'M' + svgPoint(x0, y0) + ' A' + svgPoint(rx, ry) + ' 0 ' + largeArc + ' 1 ' + svgPoint(x1, y1)
+      });
+    }
+
+    // --- Shapes -------------------------------------------------------------
+    beginShape() {
+      this.shape = { vertices: [], curve: false };
+    }
+
+    vertex(x, y) {
+      this.shape.vertices.push([x, y]);
+    }
+
+    curveVertex(x, y) {
+      this.shape.curve = true;
+      this.shape.vertices.push([x, y]);
+    }
+
+    endShape(mode) {
+      let shape = this.shape;
+      this.shape = null;
+      let closed = mode === sk.CLOSE;
+      let v = shape.vertices.slice();
+      let d;
+      if (shape.curve) {
+        // Same conversion as p5's 2D renderer: a closed shape repeats its first
+        // vertex (p5 appends it twice), then every run of four points becomes
+        // one Bézier segment between the middle two.
+        if (closed) v.push(v[0], v[0]);
+        if (v.length < 4) return; // p5 draws nothing either
+        d = 'M' + svgPoint(v[1][0], v[1][1]);
+        let i;
+        for (i = 1; i + 2 < v.length; i++) {
+          let c1x = v[i][0] + (v[i + 1][0] - v[i - 1][0]) / 6;
+          let c1y = v[i][1] + (v[i + 1][1] - v[i - 1][1]) / 6;
+          let c2x = v[i + 1][0] + (v[i][0] - v[i + 2][0]) / 6;
+          let c2y = v[i + 1][1] + (v[i][1] - v[i + 2][1]) / 6;
+          d += ' C' + svgPoint(c1x, c1y) + ' ' + svgPoint(c2x, c2y) + ' ' + svgPoint(v[i + 1][0], v[i + 1][1]);
+        }
+        if (closed) d += ' L' + svgPoint(v[i + 1][0], v[i + 1][1]);
+      } else {
+        if (v.length < 2) return;
+        d = 'M' + v.map(p => svgPoint(p[0], p[1])).join(' L');
+      }
+      if (closed) d += ' Z';
+      this.element('path', { d: d });
+    }
+  };
+}
+
+// -----------------------------------------------------------------------
+//                              Formatting
+// -----------------------------------------------------------------------
+
+// <tag a="1" .../>, with numbers rounded
+function svgTag(tag, attrs) {
+  let parts = Object.keys(attrs).map(k => k + '="' + (typeof attrs[k] === 'number' ? svgNumber(attrs[k]) : attrs[k]) + '"');
+  return '<' + tag + ' ' + parts.join(' ') + '/>';
+}
+
+// p5.Color -> { rgb: 'rgb(r,g,b)', alpha: 0..1 }
+function svgColor(col) {
+  let [r, g, b, a] = col.levels;
+  return { rgb: 'rgb(' + r + ',' + g + ',' + b + ')', alpha: a / 255 };
+}
+
+// Two decimals is well below a device pixel and keeps the file small
+function svgNumber(n) {
+  return String(Math.round(n * 100) / 100);
+}
+
+function svgPoint(x, y) {
+  return svgNumber(x) + ',' + svgNumber(y);
+}
@@ -0,0 +1,150 @@
+// =======================================================================
+// ========================= Keyframe Timeline ===========================
+// =======================================================================
+//
+// The loop is a list of phases played one after another. Each phase moves
+// masterP from one value to another over its own duration, shaped by an
+// easing curve from EASINGS below:
+//
+//   { name: 'grow', duration: 4500, from: 0.3, to: 1, ease: 'outCubic' }
+//
+// A phase where 'from' equals 'to' holds still (full bloom, or a rest at
+// empty). The loop length, globalLoopDuration, is the sum of the phase
+// durations.
+//
+// By default a falling phase plays the growth backwards, so the outer
+// bands shrink away first. With style: 'fade' the circles stay fully
+// grown and their bands fade out to transparent instead, outer band
+// first.
+//
+// Timelines are plain objects in TIMELINES: add one there (or in a saved
+// scene, or options.timelines) to try a new rhythm without touching draw(). Choose one with
+// ?timeline=<name> or cycle with the 'K' key.
+//
+// Easing equations after Robert Penner: https://easings.net/
+//
+const EASINGS = {
+  linear: x => x,
+  inQuad: x => x * x,
+  outQuad: x => 1 - (1 - x) * (1 - x),
+  inOutQuad: x => x < 0.5 ? 2 * x * x : 1 - Math.pow(-2 * x + 2, 2) / 2,
+  inCubic: x => x * x * x,
+  outCubic: x => 1 - Math.pow(1 - x, 3),
+  inOutCubic: x => x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2,
+  inQuint: x => Math.pow(x, 5),
+  outQuint: x => 1 - Math.pow(1 - x, 5),
+  inOutQuint: x => x < 0.5 ? 16 * Math.pow(x, 5) : 1 - Math.pow(-2 * x + 2, 5) / 2,
+  inOutSine: x => -(Math.cos(Math.PI * x) - 1) / 2,
+  inBack: x => 2.70158 * x * x * x - 1.70158 * x * x,
+  outBack: x => 1 + 2.70158 * Math.pow(x - 1, 3) + 1.70158 * Math.pow(x - 1, 2),
+  inElastic: x => x === 0 || x === 1 ? x : -Math.pow(2, 10 * x - 10) * Math.sin((x * 10 - 10.75) * 2 * Math.PI / 3),
+  outElastic: x => x === 0 || x === 1 ? x : Math.pow(2, -10 * x) * Math.sin((x * 10 - 0.75) * 2 * Math.PI / 3) + 1,
+  inBounce: x => 1 - EASINGS.outBounce(1 - x),
+  outBounce: x => {
+    let n = 7.5625;
+    let d = 2.75;
+    if (x < 1 / d) return n * x * x;
+    if (x < 2 / d) return n * (x -= 1.5 / d) * x + 0.75;
+    if (x < 2.5 / d) return n * (x -= 2.25 / d) * x + 0.9375;
+    return n * (x -= 2.625 / d) * x + 0.984375;
+  }
+};
+
+const TIMELINES = {
+  // The original loop: half growing, half rewinding, eased in and out
+  classic: [
+    { name: 'grow', duration: 7500, from: 0, to: 1, ease: 'inOutCubic' },
+    { name: 'rewind', duration: 7500, from: 1, to: 0, ease: 'inOutCubic' }
+  ],
+  // A plant's year: a slow start, a rush of growth, a rest in full bloom,
+  // then the bands wither away outside-in
+  seasons: [
+    { name: 'germinate', duration: 1500, from: 0, to: 0.3, ease: 'inQuad' },
+    { name: 'grow', duration: 4500, from: 0.3, to: 1, ease: 'outCubic' },
+    { name: 'hold', duration: 3000, from: 1, to: 1 },
+    { name: 'wither', duration: 4000, from: 1, to: 0, ease: 'inOutSine', style: 'fade' },
+    { name: 'rest', duration: 2000, from: 0, to: 0 }
+  ],
+  // Springs open, settles, then bounces shut
+  springy: [
+    { name: 'grow', duration: 5000, from: 0, to: 1, ease: 'outElastic' },
+    { name: 'hold', duration: 2500, from: 1, to: 1 },
+    { name: 'close', duration: 5000, from: 1, to: 0, ease: 'outBounce' },
+    { name: 'rest', duration: 2500, from: 0, to: 0 }
+  ]
+};
+
+function installTimeline(sk) {
+  // The sketch's own timelines: the library plus options.timelines
+  sk.timelines = Object.assign({}, TIMELINES, sk.options.timelines);
+
+  sk.timelineState = {
+    name: 'classic',
+    phases: sk.timelines.classic,
+    phase: sk.timelines.classic[0]  // Phase on screen, set by currentMasterP()
+  };
+
+  // Loop length set in the tuning panel (tuning.js), or null to use the
+  // timeline's own. The phases are stretched to fit.
+  sk.loopLength = null;
+
+  sk.initTimeline = function () {
+    let name = sk.params().timeline;
+    sk.setTimeline(sk.timelines[name] ? name : 'classic');
+  };
+
+  // Use a named timeline; the loop becomes as long as its phases
+  sk.setTimeline = function (name) {
+    let phases = sk.timelines[name];
+    let length = phases.reduce((sum, phase) => sum + phase.duration, 0);
+    if (sk.loopLength && length > 0 && sk.loopLength !== length) {
+      let stretch = sk.loopLength / length;
+      phases = phases.map(phase => Object.assign({}, phase, { duration: phase.duration * stretch }));
+    }
+    sk.timelineState.name = name;
+    sk.timelineState.phases = phases;
+    sk.timelineState.phase = phases[0];
+    sk.globalLoopDuration = sk.timelineState.phases.reduce((sum, phase) => sum + phase.duration, 0);
+    sk.setLoopPosition(sk.transportLoopTime());
+  };
+
+  sk.cycleTimeline = function () {
+    let names = Object.keys(sk.timelines);
+    sk.setTimeline(names[(names.indexOf(sk.timelineState.name) + 1) % names.length]);
+    sk.setURLParam('timeline', sk.timelineState.name);
+  };
+
+  // masterP and the phase at time 't' (ms) inside the loop
+  sk.evaluateTimeline = function (t) {
+    let start = 0;
+    for (let phase of sk.timelineState.phases) {
+      if (t < start + phase.duration || phase === sk.timelineState.phases[sk.timelineState.phases.length - 1]) {
+        let x = phase.duration > 0 ? sk.constrain((t - start) / phase.duration, 0, 1) : 1;
+        return { value: sk.lerp(phase.from, phase.to, easing(phase.ease)(x)), phase: phase };
+      }
+      start += phase.duration;
+    }
+  };
+
+  // Start time (ms) of the first rising ('grow') or falling ('rewind') phase
+  sk.timelinePhaseStart = function (kind) {
+    let start = 0;
+    for (let phase of sk.timelineState.phases) {
+      if (kind === 'grow' ? phase.to > phase.from : phase.to < phase.from) return start;
+      start += phase.duration;
+    }
+    return 0;
+  };
+}
+
+// Easing function by name. Unknown names fall back to linear and warn once.
+let warnedEasings = {};
+
+function easing(name = 'linear') {
+  if (EASINGS[name]) return EASINGS[name];
+  if (!warnedEasings[name]) {
+    console.warn('Unknown easing "' + name + '", using linear');
+    warnedEasings[name] = true;
+  }
+  return EASINGS.linear;
+}
@@ -0,0 +1,185 @@
+// =======================================================================
+// ======================== Playback Transport ===========================
+// =======================================================================
+//
+// The transport sits between the clock and draw(). Instead of reading the
+// loop position straight from millis(), draw() asks the transport for the
+// current time inside the loop. The transport advances that time by the
+// real frame time multiplied by the playback speed, which makes it
+// possible to pause, scrub, step frame by frame and slow the growth down.
+// Circle.display() and drawNetworkLines() still only receive masterP, so
+// they do not need to know about any of this.
+//
+// Keyboard shortcuts (see handleTransportKey()):
+//   SPACE  play / pause          ,  .   step one frame back / forward
+//   [  ]   slower / faster        G  R  jump to the first grow / rewind phase
+//   T      show / hide the timeline bar (click or drag it to scrub)
+//
+// Speeds offered by the [ and ] keys
+const TRANSPORT_SPEEDS = [0.125, 0.25, 0.5, 1, 2, 4];
+// One "frame" for stepping, in loop time (ms), assuming 60 fps
+const TRANSPORT_STEP = 1000 / 60;
+// Height of the timeline bar at the bottom of the canvas (px)
+const TIMELINE_HEIGHT = 28;
+
+function installTransport(sk) {
+  sk.transport = {
+    playing: true,     // false = paused on the current frame
+    speed: 1,          // playback speed multiplier (1 = real time)
+    loopTime: 0,       // current position inside the loop (ms)
+    lastMillis: null,  // millis() at the previous update, null before the first frame
+    cycles: 0,         // loops played through to the end (not counting scrubs and steps)
+    showTimeline: false
+  };
+
+  // -----------------------------------------------------------------------
+  //                         Clock & loop position
+  // -----------------------------------------------------------------------
+
+  // Advance the loop position by the real time since the last frame.
+  // Called once at the top of draw().
+  sk.updateTransport = function () {
+    let now = sk.millis();
+    if (sk.transport.playing && sk.installation.active) {
+      // Installation mode takes the loop position from the wall clock (installation.js)
+      sk.followWallClock();
+    } else if (sk.transport.lastMillis !== null && sk.transport.playing) {
+      // In audio mode the music's level speeds growth up or slows it down (audio.js)
+      let elapsed = (now - sk.transport.lastMillis) * sk.transport.speed * sk.audioGrowthRate();
+      let t = sk.transport.loopTime + elapsed;
+      sk.transport.cycles += sk.floor(t / sk.globalLoopDuration);
+      sk.setLoopPosition(t);
+    }
+    sk.transport.lastMillis = now;
+  };
+
+  // Current position inside the loop (0 .. globalLoopDuration, in ms)
+  sk.transportLoopTime = function () {
+    return sk.transport.loopTime;
+  };
+
+  // Move the playhead to time 't' (ms). Values outside the loop wrap around,
+  // so stepping back from 0 lands at the end of the rewind phase.
+  sk.setLoopPosition = function (t) {
+    sk.transport.loopTime = ((t % sk.globalLoopDuration) + sk.globalLoopDuration) % sk.globalLoopDuration;
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Controls
+  // -----------------------------------------------------------------------
+
+  sk.togglePlay = function () {
+    sk.transport.playing = !sk.transport.playing;
+  };
+
+  // Step 'n' frames forward (or backward for negative n). Stepping pauses
+  // playback, so the frame stays on screen to be inspected.
+  sk.stepFrames = function (n) {
+    sk.transport.playing = false;
+    sk.setLoopPosition(sk.transport.loopTime + n * TRANSPORT_STEP);
+  };
+
+  sk.setPlaybackSpeed = function (speed) {
+    sk.transport.speed = sk.constrain(speed, TRANSPORT_SPEEDS[0], TRANSPORT_SPEEDS[TRANSPORT_SPEEDS.length - 1]);
+  };
+
+  // Move one step through TRANSPORT_SPEEDS (dir = -1 slower, +1 faster)
+  sk.changePlaybackSpeed = function (dir) {
+    let i = TRANSPORT_SPEEDS.indexOf(sk.transport.speed);
+    if (i === -1) i = TRANSPORT_SPEEDS.indexOf(1);
+    i = sk.constrain(i + dir, 0, TRANSPORT_SPEEDS.length - 1);
+    sk.setPlaybackSpeed(TRANSPORT_SPEEDS[i]);
+  };
+
+  // Jump to the start of the first growing or falling phase of the timeline
+  sk.jumpToPhase = function (phase) {
+    sk.setLoopPosition(sk.timelinePhaseStart(phase));
+  };
+
+  // Returns true when the key belonged to the transport, so keyPressed()
+  // can stop looking for other handlers.
+  sk.handleTransportKey = function () {
+    if (sk.key === ' ') {
+      sk.togglePlay();
+    } else if (sk.key === ',') {
+      sk.stepFrames(-1);
+    } else if (sk.key === '.') {
+      sk.stepFrames(1);
+    } else if (sk.key === '[') {
+      sk.changePlaybackSpeed(-1);
+    } else if (sk.key === ']') {
+      sk.changePlaybackSpeed(1);
+    } else if (sk.key === 'g' || sk.key === 'G') {
+      sk.jumpToPhase('grow');
+    } else if (sk.key === 'r' || sk.key === 'R') {
+      sk.jumpToPhase('rewind');
+    } else if (sk.key === 't' || sk.key === 'T') {
+      sk.transport.showTimeline = !sk.transport.showTimeline;
+    } else {
+      return false;
+    }
+    return true;
+  };
+
+  // -----------------------------------------------------------------------
+  //                            Timeline bar
+  // -----------------------------------------------------------------------
+  //
+  // A thin bar along the bottom of the canvas, split into the phases of the
+  // keyframe timeline (timeline.js); the playhead shows the current loop
+  // position. Clicking or dragging on the bar scrubs.
+  //
+  sk.drawTimeline = function () {
+    if (!sk.transport.showTimeline) return;
+    let y = sk.height - TIMELINE_HEIGHT;
+    let playheadX = (sk.transport.loopTime / sk.globalLoopDuration) * sk.width;
+
+    sk.push();
+    sk.noStroke();
+    sk.fill(0, 0, 0, 160);
+    sk.rect(0, y, sk.width, TIMELINE_HEIGHT);
+    // Growing, falling and holding phases in slightly different tones
+    sk.textFont('monospace');
+    sk.textSize(11);
+    sk.textAlign(sk.LEFT, sk.CENTER);
+    let x = 0;
+    for (let phase of sk.timelineState.phases) {
+      let w = (phase.duration / sk.globalLoopDuration) * sk.width;
+      if (phase.to > phase.from) {
+        sk.fill(255, 215, 0, 60);
+      } else if (phase.to < phase.from) {
+        sk.fill(255, 140, 80, 60);
+      } else {
+        sk.fill(160, 180, 140, 40);
+      }
+      sk.rect(x, y, w, TIMELINE_HEIGHT);
+      sk.fill(255, 240, 200, 200);
+      sk.text(phase.name, x + 6, y + TIMELINE_HEIGHT / 2);
+      x += w;
+    }
+    // Playhead
+    sk.fill(255, 240, 200);
+    sk.rect(playheadX - 1, y, 2, TIMELINE_HEIGHT);
+
+    // Status
+    sk.fill(255, 240, 200, 200);
+    sk.textAlign(sk.RIGHT, sk.CENTER);
+    let mode = sk.installation.active ? 'wall clock' : 'playing'; // installation.js
+    let status = (sk.transport.playing ? mode : 'paused') + '  x' + sk.transport.speed +
+                 '  ' + (sk.transport.loopTime / 1000).toFixed(2) + 's';
+    sk.text(status, sk.width - 6, y + TIMELINE_HEIGHT / 2);
+    sk.pop();
+  };
+
+  // Scrub when the mouse is pressed or dragged over the timeline bar.
+  // Returns true when the event was used. The seed panel sits over the
+  // bar, so clicks on its buttons (anything but the canvas) do not scrub.
+  sk.handleTimelineMouse = function (event) {
+    if (!sk.transport.showTimeline) return false;
+    if (event.target !== sk.drawingContext.canvas) return false;
+    if (sk.mouseY < sk.height - TIMELINE_HEIGHT || sk.mouseY > sk.height) return false;
+    sk.setLoopPosition(sk.constrain(sk.mouseX / sk.width, 0, 0.9999) * sk.globalLoopDuration);
+    return true;
+  };
+}
+
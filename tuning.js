@@ -0,0 +1,259 @@
+// =======================================================================
+// ============================ Tuning Panel =============================
+// =======================================================================
+//
+// 'U' opens a panel of sliders and dropdowns for the numbers the piece is
+// tuned with: the loop length, the line timings, the band durations and
+// irregularity of new circles, the share of circles that become nodes,
+// the link distance, the texture density, evolution's mutation rate,
+// and the timeline, topology, palette, choreography, background texture
+// and number of bands. Changes apply while you drag; the ones that
+// change the composition rebuild only what they need (the timeline, the
+// network lines, the layout or the background layer).
+//
+// Every setting is written into the URL (so the address bar, and the
+// seed panel's copy link, carry a tuned configuration to a colleague)
+// and kept in localStorage, so it survives a reload. Parameters in the
+// URL win over stored ones. 'reset' goes back to the built-in values.
+// Only the sketch that owns the page (options.url) reads and writes them.
+//
+// References:
+// createSlider(): https://p5js.org/reference/p5/createSlider/
+// createSelect(): https://p5js.org/reference/p5/createSelect/
+// localStorage:   https://developer.mozilla.org/docs/Web/API/Window/localStorage
+//
+const TUNING_STORAGE_KEY = 'songlines-tuning';
+
+function installTuning(sk) {
+  // Sliders. 'rebuild' is what has to be redone after a change:
+  // 'timeline', 'network', 'layout' or 'background' (nothing if absent).
+  // 'reset' goes back to the built-in value where that is not a number.
+  sk.tuningSliders = [
+    { name: 'loop', label: 'loop length (ms)', min: 4000, max: 60000, step: 500, rebuild: 'timeline',
+      get: () => sk.globalLoopDuration, set: v => sk.loopLength = v,
+      reset: () => sk.loopLength = null }, // Back to the timeline's own length
+    { name: 'linedelay', label: 'line delay (ms)', min: 0, max: 1000, step: 10, rebuild: 'network',
+      get: () => sk.lineDelay, set: v => sk.lineDelay = v },
+    { name: 'linegrow', label: 'line growth (ms)', min: 100, max: 3000, step: 50, rebuild: 'network',
+      get: () => sk.lineGrowDuration, set: v => sk.lineGrowDuration = v },
+    { name: 'inner', label: 'inner band (ms)', min: 100, max: 4000, step: 50,
+      get: () => sk.circleDefaults.innerDuration, set: v => sk.setCircleDefault('innerDuration', v) },
+    { name: 'middle', label: 'middle band (ms)', min: 100, max: 4000, step: 50,
+      get: () => sk.circleDefaults.middleDuration, set: v => sk.setCircleDefault('middleDuration', v) },
+    { name: 'outer', label: 'outer band (ms)', min: 100, max: 4000, step: 50,
+      get: () => sk.circleDefaults.outerDuration, set: v => sk.setCircleDefault('outerDuration', v) },
+    { name: 'irregularity', label: 'irregularity', min: 0, max: 0.1, step: 0.005,
+      get: () => sk.circleDefaults.irregularity, set: v => sk.setCircleDefault('irregularity', v) },
+    { name: 'nodes', label: 'node share', min: 0, max: 1, step: 0.05, rebuild: 'layout',
+      get: () => sk.nodeChance, set: v => sk.nodeChance = v },
+    { name: 'linkdist', label: 'link distance', min: 0.1, max: 1, step: 0.01, rebuild: 'network',
+      get: () => sk.networkSettings.linkDistance, set: v => sk.networkSettings.linkDistance = v },
+    { name: 'density', label: 'texture density', min: 0.0005, max: 0.05, step: 0.0005, rebuild: 'background',
+      get: () => sk.textureSettings().density, set: v => sk.backgroundSettings.density = v,
+      reset: () => sk.backgroundSettings.density = null },
+    { name: 'mutation', label: 'mutation rate', min: 0, max: 1, step: 0.01,
+      get: () => sk.evolution.rate, set: v => sk.evolution.rate = v }
+  ];
+
+  // Dropdowns, using the URL parameter names the modules already read.
+  // 'reset' is the built-in choice that 'reset' goes back to.
+  sk.tuningSelects = [
+    { name: 'timeline', label: 'timeline', choices: () => Object.keys(sk.timelines), reset: 'classic',
+      get: () => sk.timelineState.name, set: v => sk.setTimeline(v) },
+    { name: 'topology', label: 'topology', choices: () => Object.keys(sk.networkTopologies), reset: 'distance',
+      get: () => sk.networkSettings.topology, set: v => sk.setTopology(v) },
+    { name: 'palette', label: 'palette', choices: () => Object.keys(sk.palettes), reset: 'desert-night',
+      get: () => sk.paletteState.name, set: v => sk.setPalette(v) },
+    { name: 'choreo', label: 'choreography', choices: () => Object.keys(sk.choreographies), reset: 'unison',
+      get: () => sk.choreographySettings.mode, set: v => sk.setChoreography(v) },
+    { name: 'texture', label: 'texture', choices: () => Object.keys(sk.backgroundModes), reset: 'stars',
+      get: () => sk.backgroundSettings.mode, set: v => sk.setBackgroundTexture(v) },
+    { name: 'bands', label: 'bands', choices: () => ['1', '2', '3', '4', '5', '6', '7', 'auto'], reset: '3',
+      get: () => String(sk.circleDefaults.bands), set: v => sk.setBandCount(v) }
+  ];
+
+  sk.tuning = {
+    defaults: null, // Slider values before any tuning, for 'reset'
+    panel: null,
+    controls: {}    // name -> { input, value } p5 DOM elements
+  };
+
+  // Apply the sliders' URL (or stored) values. Called in setup() before
+  // anything is built; the dropdowns' modules read their own parameters.
+  sk.initTuning = function () {
+    if (!sk.tuning.defaults) {
+      sk.tuning.defaults = {};
+      for (let slider of sk.tuningSliders) sk.tuning.defaults[slider.name] = slider.get();
+    }
+    let params = sk.params();
+    for (let slider of sk.tuningSliders) {
+      let value = parseFloat(params[slider.name]);
+      if (Number.isFinite(value)) slider.set(sk.constrain(value, slider.min, slider.max));
+    }
+  };
+
+  // Saved settings, merged into params() under the URL's own
+  sk.storedTuning = function () {
+    try {
+      return JSON.parse(localStorage.getItem(TUNING_STORAGE_KEY)) || {};
+    } catch (err) {
+      return {}; // Storage blocked (private mode, file:// in some browsers) or not JSON
+    }
+  };
+
+  sk.storeTuning = function (name, value) {
+    if (!sk.options.url) return;
+    let stored = sk.storedTuning();
+    if (value === null) {
+      delete stored[name];
+    } else {
+      stored[name] = value;
+    }
+    try {
+      localStorage.setItem(TUNING_STORAGE_KEY, JSON.stringify(stored));
+    } catch (err) {
+      // Nothing to do: the URL still carries the setting
+    }
+  };
+
+  // -----------------------------------------------------------------------
+  //                              Applying
+  // -----------------------------------------------------------------------
+
+  // New circles start with the default; the ones on the canvas (once
+  // setup() has built them) follow it. A duration applies to every band
+  // of its family ('innerDuration' to the inner bands, ...).
+  sk.setCircleDefault = function (name, value) {
+    sk.circleDefaults[name] = value;
+    for (let c of sk.circles || []) {
+      if (name === 'irregularity') {
+        c.irregularity = value;
+      } else {
+        for (let band of c.bands) {
+          if (band.family + 'Duration' === name) band.duration = value;
+        }
+      }
+    }
+  };
+
+  sk.rebuildAfterTuning = function (rebuild) {
+    if (rebuild === 'timeline') {
+      sk.setTimeline(sk.timelineState.name);
+    } else if (rebuild === 'network') {
+      sk.prepareNetworkLines();
+    } else if (rebuild === 'layout') {
+      sk.createFixedLayout();
+      sk.prepareNetworkLines();
+    } else if (rebuild === 'background') {
+      sk.buildBackgroundLayer();
+    }
+  };
+
+  // Remember a setting in the URL and in localStorage (null forgets it)
+  sk.keepTuning = function (name, value) {
+    sk.setURLParam(name, value);
+    sk.storeTuning(name, value);
+  };
+
+  // Built-in slider and dropdown values, and their URL parameters dropped
+  sk.resetTuning = function () {
+    for (let slider of sk.tuningSliders) {
+      if (slider.reset) {
+        slider.reset();
+      } else {
+        slider.set(sk.tuning.defaults[slider.name]);
+      }
+      sk.keepTuning(slider.name, null);
+    }
+    for (let select of sk.tuningSelects) {
+      if (select.get() !== select.reset) select.set(select.reset);
+      sk.keepTuning(select.name, null);
+    }
+    sk.setTimeline(sk.timelineState.name);
+    sk.createFixedLayout();
+    sk.prepareNetworkLines();
+    sk.buildBackgroundLayer();
+    sk.updateTuningPanel();
+  };
+
+  // -----------------------------------------------------------------------
+  //                                Panel
+  // -----------------------------------------------------------------------
+
+  sk.toggleTuningPanel = function () {
+    if (!sk.tuning.panel) sk.createTuningPanel();
+    if (sk.tuning.panel.style('display') === 'none') {
+      sk.updateTuningPanel(); // A scene or a key may have changed things
+      sk.tuning.panel.show();
+    } else {
+      sk.tuning.panel.hide();
+    }
+  };
+
+  sk.createTuningPanel = function () {
+    let panel = sk.createDiv();
+    panel.class('tuning-panel');
+    panel.hide();
+
+    for (let slider of sk.tuningSliders) {
+      let row = sk.createDiv();
+      row.parent(panel);
+      sk.createSpan(slider.label).parent(row);
+      let input = sk.createSlider(slider.min, slider.max, slider.get(), slider.step);
+      input.parent(row);
+      let value = sk.createSpan('');
+      value.parent(row);
+      // Live while dragging, remembered once let go
+      input.input(() => {
+        slider.set(input.value());
+        sk.rebuildAfterTuning(slider.rebuild);
+        value.html(sk.formatTuning(slider.get()));
+      });
+      input.changed(() => sk.keepTuning(slider.name, input.value()));
+      sk.tuning.controls[slider.name] = { input: input, value: value };
+    }
+
+    for (let select of sk.tuningSelects) {
+      let row = sk.createDiv();
+      row.parent(panel);
+      sk.createSpan(select.label).parent(row);
+      let input = sk.createSelect();
+      for (let choice of select.choices()) input.option(choice);
+      input.parent(row);
+      input.changed(() => {
+        select.set(input.value());
+        sk.keepTuning(select.name, input.value());
+        sk.updateTuningPanel(); // A new texture brings its own density
+      });
+      sk.tuning.controls[select.name] = { input: input, value: null };
+    }
+
+    let reset = sk.createButton('reset');
+    reset.mousePressed(() => sk.resetTuning());
+    reset.parent(panel);
+    sk.tuning.panel = panel;
+  };
+
+  // Show the current values
+  sk.updateTuningPanel = function () {
+    if (!sk.tuning.panel) return;
+    for (let slider of sk.tuningSliders) {
+      let control = sk.tuning.controls[slider.name];
+      control.input.value(slider.get());
+      control.value.html(sk.formatTuning(slider.get()));
+    }
+    for (let select of sk.tuningSelects) {
+      let input = sk.tuning.controls[select.name].input;
+      // Palettes and timelines can be added after the panel was made
+      for (let choice of select.choices()) {
+        if (!input.elt.querySelector('option[value="' + choice + '"]')) input.option(choice);
+      }
+      input.selected(select.get());
+    }
+  };
+
+  // Whole numbers as they are, fractions to three places
+  sk.formatTuning = function (value) {
+    return Number.isInteger(value) ? String(value) : sk.nf(value, 1, 3);
+  };
+}